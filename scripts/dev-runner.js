@@ -1,57 +1,272 @@
 #!/usr/bin/env node
 
 /**
- * Development runner for testing scripts locally
+ * Development runner for testing the action locally
+ *
+ * Runs invoke against a real Okta org, or against the built-in Okta stand-in with --mock.
+ * Failures go through the error handler, and --halt-after calls halt if invoke is still running.
+ *
+ * Examples:
+ *   npm run dev -- --mock --userId 00u1
+ *   npm run dev -- --mock --userId 00u1 --inject 429
+ *   npm run dev -- --mock --userId 00u1 --delay 3000 --halt-after 2000
+ *   npm run dev -- --address https://dev-12345.okta.com --token "$OKTA_API_TOKEN" --userId 00u1 --param dryRun=true
  */
 
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
 import script from '../src/script.mjs';
+import { startMockOktaServer } from './mock-okta-server.js';
 
-const mockContext = {
-  env: {
-    ENVIRONMENT: 'development'
-  },
-  secrets: {
-    API_KEY: 'dev-test-key-123456'
-  },
-  outputs: {},
-  partial_results: {},
-  current_step: 'start'
-};
+// Address used with --mock; requests to it are routed to the local stand-in
+const MOCK_ADDRESS = 'https://mock.okta.com';
+
+const USAGE = `Usage: npm run dev -- [options]
+
+User:
+  --userId <id>              Okta user ID to suspend
+  --login <login>            Okta login to look up instead of userId
+  --email <email>            Email address to look up instead of userId
+  --operation <op>           suspend (default) or unsuspend
+  --param <name=value>       Any other action input, e.g. --param clearSessions=true (repeatable)
+
+Okta:
+  --address <url>            Okta base URL (default ${MOCK_ADDRESS} with --mock)
+
+Auth (one of):
+  --token <token>            Okta API token (BEARER_AUTH_TOKEN)
+  --username <name>          Basic auth username, with --password
+  --password <password>      Basic auth password
+  --client-id <id>           OAuth2 client ID, with --client-secret or --private-key
+  --client-secret <secret>   OAuth2 client credentials secret
+  --private-key <file>       PEM or JWK file for OAuth2 private_key_jwt
+  --key-id <kid>             Key ID for --private-key
+  --token-url <url>          OAuth2 token endpoint (default <address>/oauth2/v1/token)
+  --access-token <token>     OAuth2 authorization code access token
+
+Mock Okta server:
+  --mock                     Run against the built-in Okta stand-in
+  --status <status>          Initial status of the mock user (default ACTIVE)
+  --admin                    Give the mock user the SUPER_ADMIN role
+  --inject <code>            Respond with 400, 403, 404 or 429
+  --inject-on <kind>         Which requests get --inject: lifecycle (default), read or all
+  --inject-times <n>         How many requests get --inject (default 1)
+  --delay <ms>               Delay every mock response
+  --status-lag <ms>          Delay before a lifecycle change shows up in reads
+
+Run:
+  --halt-after <ms>          Call halt if invoke has not finished after this long
+  --help                     Show this help`;
 
-const mockParams = {
-  target: 'dev-test@example.com',
-  action: 'create',
-  options: ['notify', 'audit'],
-  dry_run: false
+const OPTIONS = {
+  userId: { type: 'string' },
+  login: { type: 'string' },
+  email: { type: 'string' },
+  operation: { type: 'string' },
+  param: { type: 'string', multiple: true, default: [] },
+  address: { type: 'string' },
+  token: { type: 'string' },
+  username: { type: 'string' },
+  password: { type: 'string' },
+  'client-id': { type: 'string' },
+  'client-secret': { type: 'string' },
+  'private-key': { type: 'string' },
+  'key-id': { type: 'string' },
+  'token-url': { type: 'string' },
+  'access-token': { type: 'string' },
+  mock: { type: 'boolean', default: false },
+  status: { type: 'string', default: 'ACTIVE' },
+  admin: { type: 'boolean', default: false },
+  inject: { type: 'string' },
+  'inject-on': { type: 'string' },
+  'inject-times': { type: 'string' },
+  delay: { type: 'string' },
+  'status-lag': { type: 'string' },
+  'halt-after': { type: 'string' },
+  help: { type: 'boolean', default: false }
 };
 
+/**
+ * Helper function to turn --param name=value pairs into action inputs
+ * @private
+ */
+function parseExtraParams(pairs) {
+  const params = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid --param ${pair}. Use --param name=value`);
+    }
+    params[pair.substring(0, separator)] = pair.substring(separator + 1);
+  }
+  return params;
+}
+
+/**
+ * Helper function to build the execution context from the auth flags
+ * Secrets are only set for the auth method that was chosen
+ * @private
+ */
+function buildContext(args, address) {
+  const environment = { ADDRESS: address };
+  const secrets = {};
+  const tokenUrl = args['token-url'] || `${address}/oauth2/v1/token`;
+
+  if (args.token) {
+    secrets.BEARER_AUTH_TOKEN = args.token;
+  } else if (args.username) {
+    secrets.BASIC_USERNAME = args.username;
+    secrets.BASIC_PASSWORD = args.password;
+  } else if (args['private-key']) {
+    secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY = readFileSync(args['private-key'], 'utf8');
+    environment.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID = args['client-id'];
+    environment.OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL = tokenUrl;
+    if (args['key-id']) {
+      environment.OAUTH2_PRIVATE_KEY_JWT_KEY_ID = args['key-id'];
+    }
+  } else if (args['client-secret']) {
+    secrets.OAUTH2_CLIENT_CREDENTIALS_CLIENT_SECRET = args['client-secret'];
+    environment.OAUTH2_CLIENT_CREDENTIALS_CLIENT_ID = args['client-id'];
+    environment.OAUTH2_CLIENT_CREDENTIALS_TOKEN_URL = tokenUrl;
+  } else if (args['access-token']) {
+    secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN = args['access-token'];
+  } else if (args.mock) {
+    // The stand-in accepts any token
+    secrets.BEARER_AUTH_TOKEN = 'mock-api-token';
+  } else {
+    throw new Error('No auth configured. Pass --token, --username/--password, --client-id with --client-secret or --private-key, or --access-token');
+  }
+
+  return {
+    environment,
+    secrets,
+    outputs: {},
+    partial_results: {},
+    current_step: 'start'
+  };
+}
+
+/**
+ * Helper function to send requests for the mock address to the local stand-in
+ * The action only accepts HTTPS Okta hosts, so the runner rewrites them to the local HTTP server
+ * @private
+ */
+function routeToMockServer(mockUrl) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = (url, options) => {
+    const target = String(url).startsWith(MOCK_ADDRESS) ? mockUrl + String(url).substring(MOCK_ADDRESS.length) : url;
+    return originalFetch(target, options);
+  };
+}
+
+/**
+ * Helper function to print a result block
+ * @private
+ */
+function printResult(label, result) {
+  console.log(label, JSON.stringify(result, null, 2));
+}
+
 async function runDev() {
-  console.log('🚀 Running job script in development mode...\n');
+  const { values: args } = parseArgs({ options: OPTIONS, strict: true });
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let mockServer;
+  if (args.mock) {
+    mockServer = await startMockOktaServer({
+      users: [{ id: args.userId || '00umock0000000000001', status: args.status, roles: args.admin ? ['SUPER_ADMIN'] : [] }],
+      inject: args.inject ? parseInt(args.inject, 10) : undefined,
+      injectOn: args['inject-on'],
+      injectTimes: args['inject-times'] ? parseInt(args['inject-times'], 10) : undefined,
+      delayMs: parseInt(args.delay, 10) || 0,
+      statusLagMs: parseInt(args['status-lag'], 10) || 0
+    });
+    routeToMockServer(mockServer.url);
+    console.log(`🧪 Mock Okta server listening on ${mockServer.url} as ${MOCK_ADDRESS}\n`);
+  }
+
+  const address = args.address || (args.mock ? MOCK_ADDRESS : undefined);
+  if (!address) {
+    throw new Error('Pass --address, or --mock to use the built-in Okta stand-in');
+  }
+
+  const params = {
+    ...parseExtraParams(args.param),
+    address,
+    ...(args.userId && { userId: args.userId }),
+    ...(args.login && { login: args.login }),
+    ...(args.email && { email: args.email }),
+    ...(args.operation && { operation: args.operation })
+  };
+  if (args.mock && !params.userId && !params.login && !params.email && !params.userIds && !params.groupId && !params.search) {
+    params.userId = '00umock0000000000001';
+  }
 
-  console.log('📋 Parameters:', JSON.stringify(mockParams, null, 2));
-  console.log('🔧 Context:', JSON.stringify(mockContext, null, 2));
+  const context = buildContext(args, address);
+
+  console.log('🚀 Running job script in development mode...\n');
+  console.log('📋 Parameters:', JSON.stringify(params, null, 2));
+  console.log('🔧 Auth secrets:', Object.keys(context.secrets).join(', '));
   console.log('\n' + '='.repeat(50) + '\n');
 
+  const haltAfterMs = parseInt(args['halt-after'], 10);
+  let haltTimer;
+  const halted = Number.isInteger(haltAfterMs)
+    ? new Promise(resolve => {
+      haltTimer = setTimeout(() => resolve('halted'), haltAfterMs);
+    })
+    : new Promise(() => {});
+
+  const invocation = script.invoke(params, context).then(
+    result => ({ result }),
+    error => ({ error })
+  );
+
   try {
-    const result = await script.invoke(mockParams, mockContext);
-    console.log('\n' + '='.repeat(50));
-    console.log('✅ Job completed successfully!');
-    console.log('📤 Result:', JSON.stringify(result, null, 2));
-  } catch (error) {
+    const outcome = await Promise.race([invocation, halted]);
+
+    if (outcome === 'halted') {
+      console.log('\n' + '='.repeat(50));
+      console.log(`⏹️  invoke still running after ${haltAfterMs}ms, calling halt...`);
+      const haltResult = await script.halt({ ...params, reason: 'timeout' }, context);
+      printResult('📤 Halt result:', haltResult);
+      return;
+    }
+
+    if (outcome.result) {
+      console.log('\n' + '='.repeat(50));
+      console.log('✅ Job completed successfully!');
+      printResult('📤 Result:', outcome.result);
+      return;
+    }
+
     console.log('\n' + '='.repeat(50));
-    console.error('❌ Job failed:', error.message);
-
-    if (script.error) {
-      console.log('\n🔄 Attempting error recovery...');
-      try {
-        const recovery = await script.error({ ...mockParams, error }, mockContext);
-        console.log('✅ Recovery successful!');
-        console.log('📤 Recovery result:', JSON.stringify(recovery, null, 2));
-      } catch (recoveryError) {
-        console.error('❌ Recovery failed:', recoveryError.message);
-      }
+    console.error('❌ Job failed:', outcome.error.message);
+
+    console.log('\n🔄 Attempting error recovery...');
+    try {
+      const recovery = await script.error({ ...params, error: outcome.error }, context);
+      console.log(recovery.failureReason ? `⛔ Job ended without a retry (${recovery.failureReason})` : '✅ Recovery successful!');
+      printResult('📤 Recovery result:', recovery);
+    } catch (recoveryError) {
+      console.error(`❌ Recovery failed: ${recoveryError.message} (retryable: ${recoveryError.retryable})`);
+    }
+  } finally {
+    clearTimeout(haltTimer);
+    if (mockServer) {
+      // Let a halted invoke finish against the stand-in before shutting it down
+      await invocation;
+      await mockServer.close();
     }
   }
 }
 
-runDev().catch(console.error);
\ No newline at end of file
+runDev().catch(err => {
+  console.error(`❌ ${err.message}\n`);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,304 @@
+/**
+ * Okta stand-in server for local development
+ *
+ * Models the user lifecycle endpoints the action calls, and can inject error
+ * and slow responses so the suspend, verify, error and halt paths can be run offline.
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+// Okta error bodies for the statuses the server can inject
+const INJECTED_ERRORS = {
+  400: { errorCode: 'E0000001', errorSummary: 'Api validation failed: user' },
+  403: { errorCode: 'E0000006', errorSummary: 'You do not have permission to perform the requested action' },
+  404: { errorCode: 'E0000007', errorSummary: 'Not found: Resource not found (User)' },
+  429: { errorCode: 'E0000047', errorSummary: 'API call exceeded rate limit due to too many requests.' }
+};
+
+// Seconds until the rate-limit window resets after an injected 429
+const RATE_LIMIT_RESET_SECONDS = 2;
+
+const LIFECYCLE_TRANSITIONS = {
+  suspend: { from: 'ACTIVE', to: 'SUSPENDED', eventType: 'user.lifecycle.suspend' },
+  unsuspend: { from: 'SUSPENDED', to: 'ACTIVE', eventType: 'user.lifecycle.unsuspend' }
+};
+
+/**
+ * Helper function to build a mock Okta user
+ * @private
+ */
+function createUser(id, status, profile = {}) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    status,
+    created: '2023-03-01T08:00:00.000Z',
+    lastLogin: now,
+    lastUpdated: now,
+    statusChanged: now,
+    profile: {
+      login: `${id}@example.com`,
+      email: `${id}@example.com`,
+      displayName: `Mock User ${id}`,
+      department: 'Engineering',
+      ...profile
+    }
+  };
+}
+
+/**
+ * Helper function to read a request body
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts the mock Okta server on a random local port
+ * @param {Object} options
+ * @param {Array<Object>} options.users - Users to seed, each with id, status and optional profile and roles
+ * @param {number} options.inject - HTTP status to inject (400, 403, 404 or 429)
+ * @param {string} options.injectOn - Which requests get the injected status: lifecycle (default), read or all
+ * @param {number} options.injectTimes - How many matching requests get the injected status (default 1)
+ * @param {number} options.delayMs - Delay before every response, to simulate a slow Okta
+ * @param {number} options.statusLagMs - How long a lifecycle change takes to become visible to reads
+ * @returns {Promise<Object>} The server with its url, the users map and a close function
+ */
+export async function startMockOktaServer(options = {}) {
+  const users = new Map();
+  const roles = new Map();
+  const grants = new Map();
+  const clientTokens = new Map();
+  const memberships = new Map();
+  const events = [];
+  for (const { id, status = 'ACTIVE', profile, roles: userRoles = [] } of options.users || []) {
+    users.set(id, createUser(id, status, profile));
+    roles.set(id, userRoles);
+    // Every user starts with a consent grant and a refresh token for one OAuth client
+    grants.set(id, [{ id: `oag${id}`, status: 'ACTIVE', scopeId: 'okta.users.read.self' }]);
+    clientTokens.set(id, { '0oamockclient': [{ id: `oar${id}`, status: 'ACTIVE' }] });
+    memberships.set(id, new Set(['00gmockeveryone', '00gmockengineering']));
+  }
+
+  // Names for the groups the mock knows; any other group ID is accepted with a generic name
+  const groupNames = { '00gmockeveryone': 'Everyone', '00gmockengineering': 'Engineering' };
+
+  let injectionsLeft = options.inject ? options.injectTimes ?? 1 : 0;
+  const injectOn = options.injectOn || 'lifecycle';
+
+  const send = (res, status, body, headers = {}) => {
+    const requestId = randomUUID().replace(/-/g, '').substring(0, 20);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'X-Okta-Request-Id': requestId, ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const notFound = (res, resource) => send(res, 404, {
+    errorCode: 'E0000007',
+    errorSummary: `Not found: Resource not found: ${resource}`,
+    errorCauses: []
+  });
+
+  // Status changes become visible to reads only after statusLagMs
+  const readUser = (id) => {
+    const user = users.get(id);
+    if (user?.pendingStatus && Date.now() >= user.pendingStatusAt) {
+      user.status = user.pendingStatus;
+      user.statusChanged = new Date(user.pendingStatusAt).toISOString();
+      delete user.pendingStatus;
+      delete user.pendingStatusAt;
+    }
+    return user;
+  };
+
+  const publicUser = ({ pendingStatus: _pendingStatus, pendingStatusAt: _pendingStatusAt, ...user }) => user;
+
+  const shouldInject = (kind) => {
+    if (injectionsLeft <= 0 || (injectOn !== 'all' && injectOn !== kind)) {
+      return false;
+    }
+    injectionsLeft--;
+    return true;
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+    const body = await readBody(req);
+    console.log(`[mock-okta] ${req.method} ${path}${url.search}`);
+
+    if (options.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, options.delayMs));
+    }
+
+    if (req.method === 'POST' && path === '/oauth2/v1/token') {
+      return send(res, 200, { token_type: 'Bearer', access_token: `mock-token-${randomUUID()}`, expires_in: 3600, scope: 'okta.users.manage' });
+    }
+
+    const kind = path.includes('/lifecycle/') ? 'lifecycle' : 'read';
+    if (shouldInject(kind)) {
+      const headers = {};
+      if (options.inject === 429) {
+        const reset = Math.ceil(Date.now() / 1000) + RATE_LIMIT_RESET_SECONDS;
+        Object.assign(headers, { 'X-Rate-Limit-Limit': '600', 'X-Rate-Limit-Remaining': '0', 'X-Rate-Limit-Reset': String(reset) });
+      }
+      console.log(`[mock-okta] injecting HTTP ${options.inject}`);
+      return send(res, options.inject, { ...INJECTED_ERRORS[options.inject], errorCauses: [] }, headers);
+    }
+
+    let match;
+
+    if (req.method === 'GET' && path === '/api/v1/users') {
+      // Supports the eq searches the action builds, e.g. profile.login eq "jane@example.com"
+      const search = url.searchParams.get('search') || '';
+      const condition = search.match(/^(?:profile\.)?(\w+) eq "(.*)"$/);
+      const matches = [...users.keys()].map(readUser).filter(user => {
+        if (!condition) {
+          return true;
+        }
+        const [, field, value] = condition;
+        return (field === 'status' ? user.status : user.profile[field]) === value;
+      });
+      return send(res, 200, matches.map(publicUser));
+    }
+
+    if ((match = path.match(/^\/api\/v1\/groups\/([^/]+)\/users$/)) && req.method === 'GET') {
+      return send(res, 200, [...users.keys()].map(readUser).map(publicUser));
+    }
+
+    if ((match = path.match(/^\/api\/v1\/groups\/([^/]+)\/users\/([^/]+)$/)) && (req.method === 'PUT' || req.method === 'DELETE')) {
+      const groups = memberships.get(decodeURIComponent(match[2]));
+      if (!groups) {
+        return notFound(res, `${match[2]} (User)`);
+      }
+      groups[req.method === 'PUT' ? 'add' : 'delete'](decodeURIComponent(match[1]));
+      return send(res, 204);
+    }
+
+    if (req.method === 'GET' && path === '/api/v1/apps') {
+      // Every user is assigned to one app; supports the user.id eq filter the snapshot uses
+      const assignee = (url.searchParams.get('filter') || '').match(/^user\.id eq "([^"]+)"$/)?.[1];
+      if (assignee && !users.has(assignee)) {
+        return send(res, 200, []);
+      }
+      return send(res, 200, [{ id: '0oamockapp', name: 'mock_app', label: 'Mock App', status: 'ACTIVE' }]);
+    }
+
+    if (req.method === 'GET' && path === '/api/v1/logs') {
+      const filter = url.searchParams.get('filter') || '';
+      const target = filter.match(/target\.id eq "([^"]+)"/)?.[1];
+      const eventType = filter.match(/eventType eq "([^"]+)"/)?.[1];
+      const found = events.filter(event => (!target || event.target[0].id === target) && (!eventType || event.eventType === eventType));
+      return send(res, 200, found.reverse().slice(0, parseInt(url.searchParams.get('limit'), 10) || 100));
+    }
+
+    if (!(match = path.match(/^\/api\/v1\/users\/([^/]+)(\/.*)?$/))) {
+      return notFound(res, path);
+    }
+
+    const userId = decodeURIComponent(match[1]);
+    const subPath = match[2] || '';
+    const user = readUser(userId);
+    if (!user) {
+      return notFound(res, `${userId} (User)`);
+    }
+
+    if (req.method === 'GET' && subPath === '') {
+      return send(res, 200, publicUser(user));
+    }
+
+    if (req.method === 'POST' && subPath === '') {
+      const { profile = {} } = body ? JSON.parse(body) : {};
+      Object.assign(user.profile, profile);
+      user.lastUpdated = new Date().toISOString();
+      return send(res, 200, publicUser(user));
+    }
+
+    if (req.method === 'GET' && subPath === '/roles') {
+      return send(res, 200, roles.get(userId).map(type => ({ id: `ra-${type.toLowerCase()}`, type, status: 'ACTIVE' })));
+    }
+
+    if (req.method === 'DELETE' && subPath === '/sessions') {
+      return send(res, 204);
+    }
+
+    if (req.method === 'GET' && subPath === '/groups') {
+      return send(res, 200, [...memberships.get(userId)].map(id => ({ id, type: 'OKTA_GROUP', profile: { name: groupNames[id] || `Group ${id}` } })));
+    }
+
+    if (req.method === 'GET' && subPath === '/grants') {
+      return send(res, 200, grants.get(userId));
+    }
+
+    if ((match = subPath.match(/^\/grants\/([^/]+)$/)) && req.method === 'DELETE') {
+      grants.set(userId, grants.get(userId).filter(grant => grant.id !== match[1]));
+      return send(res, 204);
+    }
+
+    if (req.method === 'GET' && subPath === '/clients') {
+      return send(res, 200, Object.keys(clientTokens.get(userId)).map(clientId => ({ client_id: clientId, client_name: 'Mock Client' })));
+    }
+
+    if ((match = subPath.match(/^\/clients\/([^/]+)\/tokens(?:\/([^/]+))?$/))) {
+      const tokens = clientTokens.get(userId)[match[1]];
+      if (!tokens) {
+        return notFound(res, `${match[1]} (Client)`);
+      }
+      if (req.method === 'GET' && !match[2]) {
+        return send(res, 200, tokens);
+      }
+      if (req.method === 'DELETE' && match[2]) {
+        clientTokens.get(userId)[match[1]] = tokens.filter(token => token.id !== match[2]);
+        return send(res, 204);
+      }
+    }
+
+    if ((match = subPath.match(/^\/lifecycle\/(suspend|unsuspend)$/)) && req.method === 'POST') {
+      const transition = LIFECYCLE_TRANSITIONS[match[1]];
+      if (user.status !== transition.from || user.pendingStatus) {
+        return send(res, 400, {
+          errorCode: 'E0000001',
+          errorSummary: 'Api validation failed: user',
+          errorCauses: [{ errorSummary: `Cannot ${match[1]} a user with a status of ${user.status}` }]
+        });
+      }
+
+      user.pendingStatus = transition.to;
+      user.pendingStatusAt = Date.now() + (options.statusLagMs || 0);
+      events.push({
+        uuid: randomUUID(),
+        published: new Date().toISOString(),
+        eventType: transition.eventType,
+        actor: { id: '0oamockserviceapp', type: 'PublicClientApp', alternateId: 'mock-service-app', displayName: 'Mock Service App' },
+        client: { ipAddress: '127.0.0.1' },
+        target: [{ id: userId, type: 'User' }]
+      });
+      return send(res, 200, {});
+    }
+
+    return notFound(res, path);
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+      console.error(`[mock-okta] ${err.message}`);
+      send(res, 500, { errorCode: 'E0000009', errorSummary: 'Internal Server Error' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    users,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
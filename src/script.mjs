@@ -5,70 +5,1803 @@
  * The user remains in the system but cannot authenticate until unsuspended.
  */
 
-import { getBaseURL, createHeaders } from '@sgnl-actions/utils';
+import { createPrivateKey, randomUUID, sign } from 'node:crypto';
+import { getBaseURL, createHeaders, SGNL_USER_AGENT } from '@sgnl-actions/utils';
 
 // Okta user status constants
 const USER_STATUS = {
+  ACTIVE: 'ACTIVE',
   SUSPENDED: 'SUSPENDED'
 };
 
+// Lifecycle operations supported by the action
+const OPERATION = {
+  SUSPEND: 'suspend',
+  UNSUSPEND: 'unsuspend'
+};
+
+const OPERATIONS = {
+  [OPERATION.SUSPEND]: { request: suspendUser, sourceStatus: USER_STATUS.ACTIVE, targetStatus: USER_STATUS.SUSPENDED, verb: 'suspend', noun: 'suspension' },
+  [OPERATION.UNSUSPEND]: { request: unsuspendUser, sourceStatus: USER_STATUS.SUSPENDED, targetStatus: USER_STATUS.ACTIVE, verb: 'unsuspend', noun: 'unsuspension' }
+};
+
+// Default custom profile attributes for the suspension reason and ticket reference
+const DEFAULT_REASON_ATTRIBUTE = 'suspensionReason';
+const DEFAULT_TICKET_ID_ATTRIBUTE = 'suspensionTicketId';
+
+// Okta hosts the action may send credentials to unless ALLOWED_HOSTS is set
+const DEFAULT_ALLOWED_HOSTS = ['*.okta.com', '*.oktapreview.com', '*.okta-emea.com'];
+
+// Profile fields returned in the user snapshot unless profileFields is set
+const DEFAULT_PROFILE_FIELDS = ['login', 'email', 'displayName', 'managerId', 'department'];
+
+// Admin roles whose holders are not suspended without an explicit override
+const DEFAULT_PROTECTED_ROLES = ['SUPER_ADMIN'];
+
+// Error codes for suspensions blocked by a guardrail, one per protecting rule
+const GUARDRAIL = {
+  PROTECTED_USER_ID: 'PROTECTED_USER_ID',
+  PROTECTED_LOGIN: 'PROTECTED_LOGIN',
+  PROTECTED_ROLE: 'PROTECTED_ROLE'
+};
+
+// Default number of users suspended in parallel in bulk mode
+const DEFAULT_CONCURRENCY = 5;
+
+// Group mode: most members a single job will act on, and Okta page size when listing them
+const DEFAULT_MAX_GROUP_MEMBERS = 100;
+const GROUP_MEMBERS_PAGE_SIZE = 200;
+
+// Search mode: hard cap on matched users, and Okta page size when listing them
+const MAX_SEARCH_MATCHES = 100;
+const SEARCH_PAGE_SIZE = 200;
+
+// Page size when listing a user's grants and refresh tokens for revocation
+const GRANTS_PAGE_SIZE = 200;
+
+// Page size when listing a user's groups before removing them from some
+const USER_GROUPS_PAGE_SIZE = 200;
+
+// Pre-suspension snapshot document: identifier, version, default size limit and per-section item cap
+const SNAPSHOT_SCHEMA = 'okta-suspend-user/snapshot';
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SNAPSHOT_MAX_BYTES = 65536;
+const SNAPSHOT_MAX_ITEMS = 1000;
+const SNAPSHOT_PAGE_SIZE = 200;
+const SNAPSHOT_SECTIONS = ['groupIds', 'appAssignments', 'adminRoles'];
+
+// Default job-wide deadline, leaving headroom under the 30s runtime timeout
+const DEFAULT_JOB_TIMEOUT_MS = 25000;
+
+// Default limit for a single Okta request, so one hung connection cannot use up the deadline
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+// Time allowed for the status check made while halting
+const HALT_STATUS_CHECK_TIMEOUT_MS = 3000;
+
+// Written in place of secret values in log events
+const REDACTED = '[REDACTED]';
+
+// Verification polling after a lifecycle request: total wait, first delay and backoff cap
+const DEFAULT_VERIFY_MAX_WAIT_MS = 10000;
+const DEFAULT_VERIFY_INITIAL_DELAY_MS = 500;
+const VERIFY_MAX_DELAY_MS = 4000;
+
+// System Log lookup: the suspend event must fall within this margin of the suspend request
+const SYSTEM_LOG_WINDOW_MS = 60000;
+const SUSPEND_EVENT_TYPE = 'user.lifecycle.suspend';
+
+// Okta writes the event a few seconds after the change: look this many times, doubling the delay from the first
+const SYSTEM_LOG_MAX_ATTEMPTS = 4;
+const SYSTEM_LOG_INITIAL_DELAY_MS = 1000;
+
+// OAuth2 private_key_jwt: default scope and client assertion lifetime
+const DEFAULT_PRIVATE_KEY_JWT_SCOPE = 'okta.users.manage okta.roles.read';
+const CLIENT_ASSERTION_TTL_SECONDS = 300;
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// JWS algorithm and digest for each supported key type (EC keys by curve)
+const SIGNING_ALGORITHMS = {
+  rsa: { alg: 'RS256', hash: 'sha256' },
+  prime256v1: { alg: 'ES256', hash: 'sha256' },
+  secp384r1: { alg: 'ES384', hash: 'sha384' },
+  secp521r1: { alg: 'ES512', hash: 'sha512' }
+};
+
+// Failures worth retrying: rate limits, Okta internal errors and gateway errors
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['E0000047', 'E0000009'];
+
+// Rate-limit retries: extra wait past X-Rate-Limit-Reset for clock skew, and retry cap per request
+const RATE_LIMIT_BUFFER_MS = 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/**
+ * Helper function to create a logger that writes one JSON object per line
+ * Every value from context.secrets, and every Authorization header, is redacted
+ * @private
+ */
+function createLogger(context) {
+  const secrets = new Set(Object.values(context.secrets || {}).filter(value => typeof value === 'string' && value));
+
+  const redact = (key, value) => {
+    if (key.toLowerCase() === 'authorization') {
+      return REDACTED;
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    let redacted = value;
+    for (const secret of secrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+  };
+
+  const write = (level, event, fields) => {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), level, event, ...fields }, redact);
+    if (level === 'error') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  };
+
+  return {
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields),
+    // Credentials obtained during the job, such as OAuth2 access tokens, are redacted too
+    addSecret: (value) => {
+      if (value) {
+        secrets.add(value);
+      }
+    }
+  };
+}
+
+/**
+ * Helper function to create an error with status code and Okta error details
+ * Every error thrown by the action goes through here so callers get the same shape
+ * @private
+ */
+function createError(message, statusCode, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errorCode = details.errorCode || null;
+  error.errorId = details.errorId || null;
+  error.errorCauses = details.errorCauses || [];
+  error.requestId = details.requestId || null;
+  error.retryable = details.retryable ?? isRetryable(statusCode, details.errorCode);
+  return error;
+}
+
+/**
+ * Helper function to decide whether a failure is transient and worth retrying
+ * @private
+ */
+function isRetryable(statusCode, errorCode) {
+  return RETRYABLE_STATUS_CODES.includes(statusCode) || RETRYABLE_ERROR_CODES.includes(errorCode);
+}
+
+/**
+ * Helper function to read a boolean input that may arrive as a string
+ * @private
+ */
+function isEnabled(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Helper function to read a non-negative integer input, falling back to a default
+ * @private
+ */
+function readNonNegativeInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
+/**
+ * Helper function to read a list input given as an array or a comma-separated string
+ * @private
+ */
+function readList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Helper function to check a hostname against an allowlist entry such as *.okta.com
+ * @private
+ */
+function matchesHost(hostname, pattern) {
+  const normalized = pattern.toLowerCase();
+  if (normalized.startsWith('*.')) {
+    return hostname.endsWith(normalized.substring(1));
+  }
+  return hostname === normalized;
+}
+
+/**
+ * Helper function to resolve the Okta base URL and make sure it is safe to send credentials to
+ * Runs before any request so a bad address never receives a secret
+ * @private
+ */
+function resolveBaseUrl(params, context) {
+  // Get base URL using utility function
+  const address = getBaseURL(params, context);
+
+  let url;
+  try {
+    url = new URL(address);
+  } catch {
+    throw createError('Invalid Okta address. Provide a URL such as https://dev-12345.okta.com', 400);
+  }
+
+  // Never echo the address back when it carries credentials
+  if (url.username || url.password) {
+    throw createError(`Invalid Okta address for host ${url.hostname}: credentials in the URL are not allowed`, 400);
+  }
+  if (url.protocol !== 'https:') {
+    throw createError(`Invalid Okta address ${address}: HTTPS is required`, 400);
+  }
+  if (url.pathname !== '/' || url.search || url.hash) {
+    throw createError(`Invalid Okta address ${address}: paths and query strings are not allowed`, 400);
+  }
+
+  const allowedHosts = context.environment?.ALLOWED_HOSTS ? readList(context.environment.ALLOWED_HOSTS) : DEFAULT_ALLOWED_HOSTS;
+  if (!allowedHosts.some(pattern => matchesHost(url.hostname, pattern))) {
+    throw createError(`Okta address host ${url.hostname} is not allowed. Allowed hosts: ${allowedHosts.join(', ')}`, 400);
+  }
+
+  return url.origin;
+}
+
+/**
+ * Helper function to describe which configured auth method the action will use
+ * @private
+ */
+function getAuthMethod(context) {
+  const secrets = context.secrets || {};
+
+  if (secrets.BEARER_AUTH_TOKEN) {
+    return 'BEARER';
+  }
+  if (secrets.BASIC_USERNAME && secrets.BASIC_PASSWORD) {
+    return 'BASIC';
+  }
+  // Same order as createHeaders: an authorization code token wins over client credentials
+  if (secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN) {
+    return 'OAUTH2_AUTHORIZATION_CODE';
+  }
+  if (secrets.OAUTH2_CLIENT_CREDENTIALS_CLIENT_SECRET) {
+    return 'OAUTH2_CLIENT_CREDENTIALS';
+  }
+  if (secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY) {
+    return 'OAUTH2_PRIVATE_KEY_JWT';
+  }
+  return 'NONE';
+}
+
+/**
+ * Helper function to wait for the given number of milliseconds
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Helper function to read Okta's rate-limit headers from a response
+ * @private
+ */
+function readRateLimit(response) {
+  const reset = response.headers?.get('X-Rate-Limit-Reset');
+  if (!reset) {
+    return null;
+  }
+
+  // X-Rate-Limit-Reset is the UTC epoch second when the window resets
+  return {
+    limit: parseInt(response.headers.get('X-Rate-Limit-Limit'), 10) || null,
+    remaining: parseInt(response.headers.get('X-Rate-Limit-Remaining'), 10),
+    reset: new Date(parseInt(reset, 10) * 1000).toISOString()
+  };
+}
+
+/**
+ * Helper function to build the error for a request that ran out of time
+ * @private
+ */
+function createTimeoutError(phase, timeoutMs, jobState) {
+  // A request cut short by the job deadline is reported as such, not as a slow Okta
+  const errorMessage = timeoutMs < jobState.requestTimeoutMs
+    ? `Timed out in the ${phase} phase: the job deadline of ${jobState.jobTimeoutMs}ms was reached`
+    : `Timed out in the ${phase} phase: Okta did not respond within ${timeoutMs}ms`;
+
+  const error = createError(errorMessage, 504);
+  error.phase = phase;
+  error.timedOut = true;
+  return error;
+}
+
+/**
+ * Helper function to make one request that is aborted after the request timeout
+ * or at the job deadline, whichever comes first
+ * Logs an okta_request event for every attempt and collects Okta's request IDs
+ * @private
+ */
+async function fetchWithTimeout(url, options, jobState, phase, userId) {
+  // The path only; query strings can carry logins and email addresses
+  const request = { phase, userId: userId || null, method: options.method, path: new URL(url).pathname };
+  const startedAt = Date.now();
+
+  const timeoutMs = Math.min(jobState.requestTimeoutMs, jobState.deadline - startedAt);
+  if (timeoutMs <= 0) {
+    const error = createTimeoutError(phase, 0, jobState);
+    jobState.logger.error('okta_request', { ...request, status: null, durationMs: 0, requestId: null, error: error.message });
+    throw error;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    // Network failures never reached Okta, so they are safe to retry
+    const error = controller.signal.aborted ? createTimeoutError(phase, timeoutMs, jobState) : err;
+    error.retryable = true;
+    jobState.logger.error('okta_request', { ...request, status: null, durationMs: Date.now() - startedAt, requestId: null, error: error.message });
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const requestId = response.headers?.get('X-Okta-Request-Id') || null;
+  if (requestId) {
+    jobState.requestIds.push(requestId);
+  }
+  jobState.logger[response.ok ? 'info' : 'warn']('okta_request', { ...request, status: response.status, durationMs: Date.now() - startedAt, requestId });
+
+  return response;
+}
+
+/**
+ * Helper function to call the Okta API, waiting out HTTP 429 responses
+ * Waits until X-Rate-Limit-Reset when that fits within the job's remaining time
+ * @private
+ */
+async function fetchWithRateLimit(url, options, jobState, phase, userId) {
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetchWithTimeout(url, options, jobState, phase, userId);
+
+    const rateLimit = readRateLimit(response);
+    if (rateLimit) {
+      jobState.rateLimit = rateLimit;
+    }
+
+    // Without a reset time there is nothing to wait for, so let the caller handle it
+    if (response.status !== 429 || !rateLimit) {
+      return response;
+    }
+
+    const waitMs = Math.max(0, Date.parse(rateLimit.reset) - Date.now()) + RATE_LIMIT_BUFFER_MS;
+    if (attempt > MAX_RATE_LIMIT_RETRIES || Date.now() + waitMs > jobState.deadline) {
+      const error = createError(`Okta rate limit exceeded. Limit resets at ${rateLimit.reset}`, 429);
+      error.rateLimitReset = rateLimit.reset;
+      throw error;
+    }
+
+    jobState.logger.warn('rate_limited', { message: `Okta rate limit reached, waiting ${waitMs}ms until ${rateLimit.reset} before retrying`, phase, userId: userId || null, waitMs, reset: rateLimit.reset });
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Helper function to parse a PEM or JWK private key
+ * @private
+ */
+function readPrivateKey(value) {
+  const trimmed = value.trim();
+
+  try {
+    if (trimmed.startsWith('{')) {
+      const jwk = JSON.parse(trimmed);
+      return { key: createPrivateKey({ key: jwk, format: 'jwk' }), keyId: jwk.kid };
+    }
+
+    // Secrets stored on one line often carry the PEM newlines as literal \n
+    return { key: createPrivateKey(trimmed.replace(/\\n/g, '\n')), keyId: undefined };
+  } catch (err) {
+    throw createError(`Invalid OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY. Provide a PEM or JWK private key: ${err.message}`, 400);
+  }
+}
+
+/**
+ * Helper function to sign the private_key_jwt client assertion for the token request
+ * @private
+ */
+function signClientAssertion(clientId, tokenUrl, privateKey, keyId) {
+  const { key, keyId: jwkKeyId } = readPrivateKey(privateKey);
+
+  const keyType = key.asymmetricKeyType === 'ec' ? key.asymmetricKeyDetails.namedCurve : key.asymmetricKeyType;
+  const algorithm = SIGNING_ALGORITHMS[keyType];
+  if (!algorithm) {
+    throw createError(`Unsupported private key type ${keyType}. Use an RSA key or an EC key on P-256, P-384 or P-521`, 400);
+  }
+
+  const kid = keyId || jwkKeyId;
+  const header = { alg: algorithm.alg, typ: 'JWT', ...(kid && { kid }) };
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: clientId,
+    sub: clientId,
+    aud: tokenUrl,
+    iat: issuedAt,
+    exp: issuedAt + CLIENT_ASSERTION_TTL_SECONDS,
+    jti: randomUUID()
+  };
+
+  const signingInput = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+  // JWS wants raw r||s EC signatures rather than DER
+  const signature = sign(algorithm.hash, Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Helper function to exchange a client_credentials grant for an access token
+ * The token endpoint gets the same request timeout and job deadline as Okta API calls
+ * @private
+ */
+async function requestAccessToken(tokenUrl, form, headers, jobState) {
+  const response = await fetchWithTimeout(tokenUrl, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': SGNL_USER_AGENT,
+      ...headers
+    },
+    body: new URLSearchParams({ grant_type: 'client_credentials', ...form }).toString()
+  }, jobState, 'authentication');
+
+  let body = {};
+  try {
+    body = await response.json();
+  } catch {
+    // Response might not be JSON
+    jobState.logger.error('unreadable_response', { message: 'Failed to parse token response', phase: 'authentication' });
+  }
+
+  if (!response.ok || !body.access_token) {
+    const detail = body.error_description || body.error || `HTTP ${response.status}`;
+    throw createError(`Failed to get an OAuth2 access token: ${detail}`, response.ok ? 502 : response.status);
+  }
+
+  return body.access_token;
+}
+
+/**
+ * Helper function to get an access token with private_key_jwt client authentication
+ * Each job requests its own token and keeps it only in its request headers
+ * @private
+ */
+async function getPrivateKeyJwtToken(context, jobState) {
+  const environment = context.environment || {};
+  const clientId = environment.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID;
+  const tokenUrl = environment.OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL;
+  const scope = environment.OAUTH2_PRIVATE_KEY_JWT_SCOPE || DEFAULT_PRIVATE_KEY_JWT_SCOPE;
+
+  if (!clientId || !tokenUrl) {
+    throw createError('OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID and OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL are required for private key JWT authentication', 400);
+  }
+
+  const clientAssertion = signClientAssertion(clientId, tokenUrl, context.secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY, environment.OAUTH2_PRIVATE_KEY_JWT_KEY_ID);
+
+  return await requestAccessToken(tokenUrl, {
+    scope,
+    client_assertion_type: CLIENT_ASSERTION_TYPE,
+    client_assertion: clientAssertion
+  }, {}, jobState);
+}
+
+/**
+ * Helper function to get an access token with a shared client secret
+ * Sends the same request as createHeaders, with the secret in the body for the InParams auth style
+ * @private
+ */
+async function getClientCredentialsToken(context, jobState) {
+  const environment = context.environment || {};
+  const clientId = environment.OAUTH2_CLIENT_CREDENTIALS_CLIENT_ID;
+  const tokenUrl = environment.OAUTH2_CLIENT_CREDENTIALS_TOKEN_URL;
+  const clientSecret = context.secrets.OAUTH2_CLIENT_CREDENTIALS_CLIENT_SECRET;
+
+  if (!clientId || !tokenUrl) {
+    throw createError('OAUTH2_CLIENT_CREDENTIALS_CLIENT_ID and OAUTH2_CLIENT_CREDENTIALS_TOKEN_URL are required for client credentials authentication', 400);
+  }
+
+  const form = {
+    ...(environment.OAUTH2_CLIENT_CREDENTIALS_SCOPE && { scope: environment.OAUTH2_CLIENT_CREDENTIALS_SCOPE }),
+    ...(environment.OAUTH2_CLIENT_CREDENTIALS_AUDIENCE && { audience: environment.OAUTH2_CLIENT_CREDENTIALS_AUDIENCE })
+  };
+
+  if (environment.OAUTH2_CLIENT_CREDENTIALS_AUTH_STYLE === 'InParams') {
+    return await requestAccessToken(tokenUrl, { ...form, client_id: clientId, client_secret: clientSecret }, {}, jobState);
+  }
+
+  const basicCredentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  jobState.logger.addSecret(basicCredentials);
+  return await requestAccessToken(tokenUrl, form, { 'Authorization': `Basic ${basicCredentials}` }, jobState);
+}
+
+/**
+ * Helper function to build Okta request headers for the configured auth method
+ * @private
+ */
+async function createOktaHeaders(context, jobState) {
+  // OAuth2 tokens are requested here rather than by createHeaders, so the token endpoint
+  // cannot hold the job past its deadline; createHeaders also has no private_key_jwt support
+  const authMethod = getAuthMethod(context);
+  if (authMethod === 'OAUTH2_PRIVATE_KEY_JWT' || authMethod === 'OAUTH2_CLIENT_CREDENTIALS') {
+    const accessToken = authMethod === 'OAUTH2_PRIVATE_KEY_JWT'
+      ? await getPrivateKeyJwtToken(context, jobState)
+      : await getClientCredentialsToken(context, jobState);
+    jobState.logger.addSecret(accessToken);
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'User-Agent': SGNL_USER_AGENT
+    };
+  }
+
+  // Get headers using utility function
+  const headers = await createHeaders(context);
+
+  // Handle Okta's SSWS token format - only for Bearer token auth mode
+  if (context.secrets.BEARER_AUTH_TOKEN && headers['Authorization'].startsWith('Bearer ')) {
+    const token = headers['Authorization'].substring(7);
+    headers['Authorization'] = token.startsWith('SSWS ') ? token : `SSWS ${token}`;
+  }
+
+  // The header and its credential are redacted wherever they might surface in a log
+  jobState.logger.addSecret(headers['Authorization']);
+  jobState.logger.addSecret(headers['Authorization']?.split(' ').pop());
+
+  return headers;
+}
+
+/**
+ * Helper function to record how far a user's lifecycle change got
+ * @private
+ */
+function trackProgress(jobState, userId, update) {
+  if (!jobState.progress) {
+    return;
+  }
+
+  const current = jobState.progress.users[userId] || { requestSent: false, requestAcknowledged: false, verified: false };
+  jobState.progress.users[userId] = { ...current, ...update };
+}
+
+/**
+ * Helper function to perform user suspension
+ * @private
+ */
+async function suspendUser(userId, baseUrl, headers, jobState) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  // Build URL using base URL (already cleaned by getBaseUrl)
+  const url = `${baseUrl}/api/v1/users/${encodedUserId}/lifecycle/suspend`;
+
+  const response = await fetchWithRateLimit(url, {
+    method: 'POST',
+    headers
+  }, jobState, OPERATION.SUSPEND, userId);
+
+  return response;
+}
+
+/**
+ * Helper function to perform user unsuspension
+ * @private
+ */
+async function unsuspendUser(userId, baseUrl, headers, jobState) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  // Build URL using base URL (already cleaned by getBaseUrl)
+  const url = `${baseUrl}/api/v1/users/${encodedUserId}/lifecycle/unsuspend`;
+
+  const response = await fetchWithRateLimit(url, {
+    method: 'POST',
+    headers
+  }, jobState, OPERATION.UNSUSPEND, userId);
+
+  return response;
+}
+
+/**
+ * Helper function to quote a value for an Okta search or filter expression
+ * Escapes backslashes and quotes so the value stays inside the string literal
+ * @private
+ */
+function escapeFilterValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Helper function to search for users by a profile attribute
+ * @private
+ */
+async function findUsers(field, value, baseUrl, headers, jobState) {
+  const search = encodeURIComponent(`profile.${field} eq "${escapeFilterValue(value)}"`);
+
+  // Two results are enough to tell a unique match from an ambiguous one
+  const url = `${baseUrl}/api/v1/users?search=${search}&limit=2`;
+
+  const response = await fetchWithRateLimit(url, {
+    method: 'GET',
+    headers
+  }, jobState, 'lookup');
+
+  return response;
+}
+
+/**
+ * Helper function to resolve the canonical Okta user ID from userId, login or email
+ * @private
+ */
+async function resolveUser(params, baseUrl, headers, jobState) {
+  const { userId, login, email } = params;
+
+  if (userId) {
+    return { userId, lookupField: 'id', requestedUser: userId };
+  }
+
+  const [lookupField, requestedUser] = login ? ['login', login] : ['email', email];
+  if (!requestedUser) {
+    throw createError('Invalid or missing userId parameter. Provide userId, login or email', 400);
+  }
+
+  const response = await findUsers(lookupField, requestedUser, baseUrl, headers, jobState);
+  if (!response.ok) {
+    throw await createResponseError(`Cannot look up user by ${lookupField}`, response, jobState);
+  }
+
+  let users;
+  try {
+    users = await response.json();
+  } catch (err) {
+    const errorMessage = `Cannot parse user search results: ${err.message}`;
+    jobState.logger.error('unreadable_response', { message: errorMessage, phase: 'lookup' });
+    throw createError(errorMessage, 500);
+  }
+
+  if (!Array.isArray(users) || users.length === 0) {
+    throw markUserNotFound(createError(`No Okta user found with ${lookupField} ${requestedUser}`, 404));
+  }
+
+  if (users.length > 1) {
+    throw createError(`Multiple Okta users found with ${lookupField} ${requestedUser}. Provide userId instead`, 409);
+  }
+
+  jobState.logger.info('user_resolved', { message: `Resolved ${lookupField} ${requestedUser} to user ${users[0].id}`, phase: 'lookup', userId: users[0].id, lookupField });
+  return { userId: users[0].id, lookupField, requestedUser };
+}
+
+/**
+ * Helper function to read the next-page URL from Okta's Link header
+ * @private
+ */
+function getNextPageUrl(response) {
+  const link = response.headers?.get('Link');
+  const match = link && link.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Helper function to list every item of a paginated Okta collection
+ * Follows Link rel="next" and stops once more than maxItems have been read
+ * @private
+ */
+async function listAll(url, baseUrl, headers, jobState, errorPrefix, maxItems, phase = 'lookup', userId = null) {
+  const items = [];
+  let nextUrl = url;
+
+  while (nextUrl && items.length <= maxItems) {
+    // Never send credentials to a next link outside the Okta org
+    if (!nextUrl.startsWith(`${baseUrl}/`)) {
+      throw createError(`${errorPrefix}: unexpected next page URL ${nextUrl}`, 502);
+    }
+
+    const response = await fetchWithRateLimit(nextUrl, {
+      method: 'GET',
+      headers
+    }, jobState, phase, userId);
+
+    if (!response.ok) {
+      throw await createResponseError(errorPrefix, response, jobState);
+    }
+
+    let page;
+    try {
+      page = await response.json();
+    } catch (err) {
+      const errorMessage = `${errorPrefix}: cannot parse response: ${err.message}`;
+      jobState.logger.error('unreadable_response', { message: errorMessage, phase, userId });
+      throw createError(errorMessage, 500);
+    }
+
+    items.push(...(Array.isArray(page) ? page : []));
+    nextUrl = getNextPageUrl(response);
+  }
+
+  return items;
+}
+
+/**
+ * Helper function to list the members of an Okta group
+ * @private
+ */
+async function getGroupMembers(groupId, baseUrl, headers, jobState, maxMembers) {
+  // Safely encode groupId to prevent injection
+  const encodedGroupId = encodeURIComponent(groupId);
+
+  const url = `${baseUrl}/api/v1/groups/${encodedGroupId}/users?limit=${GROUP_MEMBERS_PAGE_SIZE}`;
+  const members = await listAll(url, baseUrl, headers, jobState, `Cannot list members of group ${groupId}`, maxMembers);
+
+  // Refuse the whole group rather than act on an arbitrary subset
+  if (members.length > maxMembers) {
+    throw createError(`Group ${groupId} has more than ${maxMembers} members. Raise maxGroupMembers to act on all of them`, 400);
+  }
+
+  return members;
+}
+
+/**
+ * Helper function to list every user matching an Okta search expression
+ * @private
+ */
+async function searchUsers(search, baseUrl, headers, jobState) {
+  const url = `${baseUrl}/api/v1/users?search=${encodeURIComponent(search)}&limit=${SEARCH_PAGE_SIZE}`;
+  const users = await listAll(url, baseUrl, headers, jobState, 'Cannot search users', MAX_SEARCH_MATCHES);
+
+  // A broad expression must never suspend an arbitrary slice of the org
+  if (users.length > MAX_SEARCH_MATCHES) {
+    throw createError(`Search matched more than ${MAX_SEARCH_MATCHES} users. Narrow the search expression`, 400);
+  }
+
+  return users;
+}
+
+/**
+ * Helper function to describe the users a search resolved to, for the audit trail
+ * @private
+ */
+function describeMatchedUsers(users) {
+  return users.map(user => ({ userId: user.id, login: user.profile?.login || null, status: user.status }));
+}
+
+/**
+ * Helper function to get user details
+ * @private
+ */
+async function getUser(userId, baseUrl, headers, jobState, phase) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  // Build URL using base URL (already cleaned by getBaseUrl)
+  const url = `${baseUrl}/api/v1/users/${encodedUserId}`;
+
+  const response = await fetchWithRateLimit(url, {
+    method: 'GET',
+    headers: headers
+  }, jobState, phase, userId);
+
+  return response;
+}
+
+/**
+ * Helper function to build an error from a failed Okta response
+ * Keeps Okta's errorCode, errorId, errorCauses and request ID so callers can tell failures apart
+ * @private
+ */
+async function createResponseError(prefix, response, jobState) {
+  let errorMessage = `${prefix}: HTTP ${response.status}`;
+  let errorBody;
+
+  try {
+    errorBody = await response.json();
+    if (errorBody.errorSummary) {
+      errorMessage = `${prefix}: ${errorBody.errorSummary}`;
+    }
+  } catch {
+    // Response might not be JSON
+  }
+
+  const error = createError(errorMessage, response.status, {
+    errorCode: errorBody?.errorCode,
+    errorId: errorBody?.errorId,
+    errorCauses: errorBody?.errorCauses,
+    requestId: response.headers?.get('X-Okta-Request-Id')
+  });
+
+  // Only Okta's error identifiers are logged, never the raw body
+  jobState.logger.error('okta_error', {
+    message: errorMessage,
+    status: error.statusCode,
+    errorCode: error.errorCode,
+    errorId: error.errorId,
+    requestId: error.requestId
+  });
+
+  return error;
+}
+
+/**
+ * Helper function to fetch and parse a user, failing on any non-2xx response
+ * @private
+ */
+async function readUser(userId, baseUrl, headers, jobState, errorPrefix, phase) {
+  const getUserResponse = await getUser(userId, baseUrl, headers, jobState, phase);
+  if (!getUserResponse.ok) {
+    throw await createResponseError(errorPrefix, getUserResponse, jobState);
+  }
+
+  try {
+    return await getUserResponse.json();
+  } catch (err) {
+    const errorMessage = `Cannot parse user data: ${err.message}`;
+    jobState.logger.error('unreadable_response', { message: errorMessage, phase, userId });
+    throw createError(errorMessage, 500);
+  }
+}
+
+/**
+ * Helper function to flag a 404 for the user itself, so the error handler can tell it from other 404s
+ * @private
+ */
+function markUserNotFound(error) {
+  if (error.statusCode === 404) {
+    error.userNotFound = true;
+  }
+  return error;
+}
+
+/**
+ * Helper function to list the admin roles assigned directly to a user
+ * @private
+ */
+async function getAdminRoles(userId, baseUrl, headers, jobState, phase) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  const url = `${baseUrl}/api/v1/users/${encodedUserId}/roles`;
+
+  const response = await fetchWithRateLimit(url, {
+    method: 'GET',
+    headers
+  }, jobState, phase, userId);
+
+  // Fail closed: a user whose roles cannot be read is not suspended
+  if (!response.ok) {
+    throw await createResponseError('Cannot check admin roles before suspending', response, jobState);
+  }
+
+  try {
+    const roles = await response.json();
+    return Array.isArray(roles) ? roles.map(role => role.type) : [];
+  } catch (err) {
+    const errorMessage = `Cannot parse admin roles: ${err.message}`;
+    jobState.logger.error('unreadable_response', { message: errorMessage, phase, userId });
+    throw createError(errorMessage, 500);
+  }
+}
+
+/**
+ * Helper function to build the error for a suspension blocked by a guardrail
+ * @private
+ */
+function createGuardrailError(userId, rule, detail, jobState) {
+  const errorMessage = `Refusing to suspend user ${userId}: ${detail} (${rule})`;
+  jobState.logger.error('guardrail_blocked', { message: errorMessage, phase: OPERATION.SUSPEND, userId, rule });
+  return createError(errorMessage, 403, { errorCode: rule, retryable: false });
+}
+
+/**
+ * Helper function to find the guardrail, if any, that protects a user from suspension
+ * Returns the rule and why it applies, or null when the user may be suspended
+ * @private
+ */
+async function findGuardrailViolation(user, userId, baseUrl, headers, jobState, phase) {
+  const { protectedUserIds, protectedLogins, protectedRoles, overrideRoleProtection } = jobState.guardrails;
+
+  if (protectedUserIds.includes(userId)) {
+    return { rule: GUARDRAIL.PROTECTED_USER_ID, detail: 'user ID is on the protected users list' };
+  }
+
+  const login = user.profile?.login?.toLowerCase();
+  if (login && protectedLogins.includes(login)) {
+    return { rule: GUARDRAIL.PROTECTED_LOGIN, detail: `login ${user.profile.login} is on the protected logins list` };
+  }
+
+  if (overrideRoleProtection) {
+    jobState.logger.warn('guardrail_overridden', { message: `Admin role protection overridden for user ${userId}`, phase, userId, rule: GUARDRAIL.PROTECTED_ROLE });
+    return null;
+  }
+
+  const roles = await getAdminRoles(userId, baseUrl, headers, jobState, phase);
+  const heldRoles = roles.filter(role => protectedRoles.includes(role));
+  if (heldRoles.length > 0) {
+    return { rule: GUARDRAIL.PROTECTED_ROLE, detail: `user holds protected admin role ${heldRoles.join(', ')}. Set overrideRoleProtection to suspend anyway` };
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to refuse suspending deny-listed users and holders of protected admin roles
+ * @private
+ */
+async function checkGuardrails(user, userId, baseUrl, headers, jobState) {
+  const violation = await findGuardrailViolation(user, userId, baseUrl, headers, jobState, OPERATION.SUSPEND);
+  if (violation) {
+    throw createGuardrailError(userId, violation.rule, violation.detail, jobState);
+  }
+}
+
+/**
+ * Helper function to preview whether the guardrails would let a user be suspended
+ * Mirrors the real run: users already SUSPENDED are never checked
+ * @private
+ */
+async function previewGuardrails(user, userId, baseUrl, headers, jobState) {
+  if (user.status === USER_STATUS.SUSPENDED) {
+    return { blockedBy: null, blockedReason: null };
+  }
+
+  const violation = await findGuardrailViolation(user, userId, baseUrl, headers, jobState, 'preview');
+  if (!violation) {
+    return { blockedBy: null, blockedReason: null };
+  }
+
+  jobState.logger.info('guardrail_blocked', { message: `User ${userId} would not be suspended: ${violation.detail} (${violation.rule})`, phase: 'preview', userId, rule: violation.rule });
+  return { blockedBy: violation.rule, blockedReason: violation.detail };
+}
+
+/**
+ * Helper function to list one snapshot section, keeping at most SNAPSHOT_MAX_ITEMS entries
+ * @private
+ */
+async function listSnapshotSection(url, baseUrl, headers, jobState, errorPrefix, userId) {
+  const items = await listAll(url, baseUrl, headers, jobState, errorPrefix, SNAPSHOT_MAX_ITEMS, 'snapshot', userId);
+  return { items: items.slice(0, SNAPSHOT_MAX_ITEMS), complete: items.length <= SNAPSHOT_MAX_ITEMS };
+}
+
+/**
+ * Helper function to shrink a snapshot until its JSON fits within maxBytes
+ * Trims the largest section first and records what was cut in snapshot.truncation
+ * @private
+ */
+function limitSnapshotSize(snapshot, maxBytes) {
+  const sizeOf = value => Buffer.byteLength(JSON.stringify(value));
+
+  for (let excess = sizeOf(snapshot) - maxBytes; excess > 0; excess = sizeOf(snapshot) - maxBytes) {
+    const section = SNAPSHOT_SECTIONS.reduce((largest, name) => (snapshot[name].length > snapshot[largest].length ? name : largest));
+    const entries = snapshot[section];
+    if (entries.length === 0) {
+      break;
+    }
+
+    // Drop roughly enough entries to cover the excess, and at least one
+    const entryBytes = sizeOf(entries) / entries.length;
+    const kept = Math.max(0, entries.length - Math.max(1, Math.ceil(excess / entryBytes)));
+
+    // A section already cut at SNAPSHOT_MAX_ITEMS keeps its unknown total and both reasons
+    const previous = snapshot.truncation[section];
+    snapshot[section] = entries.slice(0, kept);
+    snapshot.truncated = true;
+    snapshot.truncation[section] = {
+      kept,
+      total: previous ? previous.total : entries.length,
+      reasons: previous?.reasons.includes('size') ? previous.reasons : [...(previous?.reasons || []), 'size']
+    };
+  }
+
+  return snapshot;
+}
+
+/**
+ * Helper function to capture what a user had before suspension, for restoring it later
+ * Collects status, group IDs, app assignments and admin role assignments as a versioned document
+ * @private
+ */
+async function captureSnapshot(user, userId, baseUrl, headers, jobState) {
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+  const appFilter = encodeURIComponent(`user.id eq "${escapeFilterValue(userId)}"`);
+
+  const groups = await listSnapshotSection(`${baseUrl}/api/v1/users/${encodedUserId}/groups?limit=${SNAPSHOT_PAGE_SIZE}`, baseUrl, headers, jobState, 'Cannot list groups for the snapshot', userId);
+  const apps = await listSnapshotSection(`${baseUrl}/api/v1/apps?filter=${appFilter}&limit=${SNAPSHOT_PAGE_SIZE}`, baseUrl, headers, jobState, 'Cannot list app assignments for the snapshot', userId);
+  const roles = await listSnapshotSection(`${baseUrl}/api/v1/users/${encodedUserId}/roles`, baseUrl, headers, jobState, 'Cannot list admin roles for the snapshot', userId);
+
+  const snapshot = {
+    schema: SNAPSHOT_SCHEMA,
+    version: SNAPSHOT_VERSION,
+    capturedAt: new Date().toISOString(),
+    userId,
+    status: user.status,
+    groupIds: groups.items.map(group => group.id),
+    appAssignments: apps.items.map(app => ({ appId: app.id, name: app.name, label: app.label || null, status: app.status || null })),
+    adminRoles: roles.items.map(role => ({ id: role.id, type: role.type, label: role.label || null, assignmentType: role.assignmentType || null, status: role.status || null })),
+    truncated: false,
+    truncation: {}
+  };
+
+  // Sections with more entries than could be listed have no known total
+  for (const [section, { complete }] of Object.entries({ groupIds: groups, appAssignments: apps, adminRoles: roles })) {
+    if (!complete) {
+      snapshot.truncated = true;
+      snapshot.truncation[section] = { kept: snapshot[section].length, total: null, reasons: ['items'] };
+    }
+  }
+
+  return limitSnapshotSize(snapshot, jobState.snapshot.userMaxBytes);
+}
+
+/**
+ * Helper function to capture the snapshot without letting a failure block the suspension
+ * @private
+ */
+async function tryCaptureSnapshot(user, userId, baseUrl, headers, jobState) {
+  try {
+    const snapshot = await captureSnapshot(user, userId, baseUrl, headers, jobState);
+    jobState.logger.info('snapshot_captured', {
+      message: `Captured snapshot for user ${userId}${snapshot.truncated ? ' (truncated)' : ''}`,
+      phase: 'snapshot',
+      userId
+    });
+    return { snapshot, snapshotError: null };
+  } catch (err) {
+    jobState.logger.error('step_failed', { message: `Failed to capture snapshot for user ${userId}: ${err.message}`, phase: 'snapshot', userId });
+    return { snapshot: null, snapshotError: `Failed to capture snapshot: ${err.message}` };
+  }
+}
+
+/**
+ * Helper function to run a lifecycle operation and confirm the new status with a follow-up GET
+ * Users that are already in the target status are left untouched and reported as such
+ * @private
+ */
+async function changeUserStatus(userId, baseUrl, headers, jobState, operation) {
+  const { request, targetStatus, verb, noun } = OPERATIONS[operation];
+
+  // Check the current status first so a repeat run is a no-op instead of a 400
+  let previousUser;
+  try {
+    previousUser = await readUser(userId, baseUrl, headers, jobState, `Failed to ${verb} user`, verb);
+  } catch (err) {
+    throw markUserNotFound(err);
+  }
+  const captureRequested = operation === OPERATION.SUSPEND && Boolean(jobState.snapshot);
+  if (previousUser.status === targetStatus) {
+    jobState.logger.info('status_unchanged', { message: `User ${userId} is already ${targetStatus}, skipping ${verb} request`, phase: verb, userId, userStatus: targetStatus });
+    trackProgress(jobState, userId, { verified: true });
+    // Nothing is about to change, so there is nothing to snapshot
+    const snapshotResult = captureRequested ? { snapshot: null, snapshotError: null } : undefined;
+    return { userData: previousUser, previousUser, verifyAttempts: 0, snapshotResult };
+  }
+
+  if (operation === OPERATION.SUSPEND && jobState.guardrails) {
+    await checkGuardrails(previousUser, userId, baseUrl, headers, jobState);
+  }
+
+  const snapshotResult = captureRequested
+    ? await tryCaptureSnapshot(previousUser, userId, baseUrl, headers, jobState)
+    : undefined;
+
+  // Make the API request to change the user's status
+  trackProgress(jobState, userId, { requestSent: true });
+  const requestedAt = Date.now();
+  const lifecycleResponse = await request(userId, baseUrl, headers, jobState);
+
+  if (!lifecycleResponse.ok) {
+    const error = await createResponseError(`Failed to ${verb} user`, lifecycleResponse, jobState);
+    error.userStatus = previousUser.status;
+    throw error;
+  }
+  trackProgress(jobState, userId, { requestAcknowledged: true });
+
+  // Get user to confirm status change, polling to ride out replication lag
+  let verified;
+  try {
+    verified = await waitForStatus(userId, baseUrl, headers, jobState, targetStatus);
+  } catch (err) {
+    // Okta already accepted the lifecycle request, so a retry must not assume nothing happened
+    if (err.timedOut) {
+      err.message = `${err.message}. The ${noun} may already have been applied`;
+    }
+    throw err;
+  }
+  const { userData, verifyAttempts } = verified;
+
+  // Check if user is now in the target status
+  if (userData.status !== targetStatus) {
+    const errorMessage = `User ${userId} could not be ${verb}ed. User is currently ${userData.status} after ${verifyAttempts} verification attempt${verifyAttempts === 1 ? '' : 's'}`;
+    jobState.logger.error('verify_failed', { message: errorMessage, phase: 'verify', userId, userStatus: userData.status, verifyAttempts });
+    const error = createError(errorMessage, 400);
+    error.userStatus = userData.status;
+    throw error;
+  }
+  trackProgress(jobState, userId, { verified: true });
+
+  return { userData, previousUser, verifyAttempts, requestedAt, snapshotResult };
+}
+
+/**
+ * Helper function to poll a user until it reaches the target status
+ * Backs off exponentially and stops once the verify wait or the job deadline is used up
+ * @private
+ */
+async function waitForStatus(userId, baseUrl, headers, jobState, targetStatus) {
+  const waitUntil = Math.min(Date.now() + jobState.verify.maxWaitMs, jobState.deadline);
+  let delay = jobState.verify.initialDelayMs;
+
+  for (let verifyAttempts = 1; ; verifyAttempts++) {
+    const userData = await readUser(userId, baseUrl, headers, jobState, 'Cannot fetch information about User', 'verify');
+
+    if (userData.status === targetStatus || Date.now() + delay > waitUntil) {
+      return { userData, verifyAttempts };
+    }
+
+    jobState.logger.info('verify_pending', { message: `User ${userId} is ${userData.status}, checking again in ${delay}ms`, phase: 'verify', userId, userStatus: userData.status, verifyAttempts });
+    await sleep(delay);
+    delay = Math.min(delay * 2, VERIFY_MAX_DELAY_MS);
+  }
+}
+
 /**
- * Helper function to create an error with status code
+ * Helper function to describe the outcome of a lifecycle operation in result fields
  * @private
  */
-function createError(message, statusCode) {
-  const error = new Error(message);
-  error.statusCode = statusCode;
-  return error;
+function describeStatusChange(operation, { userData, previousUser, verifyAttempts }) {
+  const changedAt = userData.statusChanged || userData.lastUpdated;
+  const wasSuspended = previousUser.status === USER_STATUS.SUSPENDED;
+
+  if (operation === OPERATION.UNSUSPEND) {
+    return {
+      suspended: false,
+      alreadySuspended: wasSuspended,
+      suspendedAt: wasSuspended ? previousUser.statusChanged || previousUser.lastUpdated : null,
+      unsuspendedAt: wasSuspended ? changedAt : null,
+      status: userData.status,
+      verifyAttempts
+    };
+  }
+
+  return {
+    suspended: true,
+    alreadySuspended: wasSuspended,
+    suspendedAt: changedAt,
+    unsuspendedAt: null,
+    status: userData.status,
+    verifyAttempts
+  };
 }
 
 /**
- * Helper function to perform user suspension
+ * Helper function to describe who the user is from the user already read from Okta
+ * Saves downstream steps a second call to find out who was suspended
+ * @private
+ */
+function describeUser({ userData, previousUser }, profileFields) {
+  const profile = {};
+  for (const field of profileFields) {
+    profile[field] = userData.profile?.[field] ?? null;
+  }
+
+  return {
+    previousStatus: previousUser.status,
+    profile,
+    lastLogin: userData.lastLogin || null,
+    created: userData.created || null
+  };
+}
+
+/**
+ * Helper function to clear a user's active Okta sessions
+ * Failures are reported in the result instead of thrown so the suspension still counts
  * @private
  */
-async function suspendUser(userId, baseUrl, headers) {
+async function clearUserSessions(userId, baseUrl, headers, jobState, revokeOauthTokens) {
   // Safely encode userId to prevent injection
   const encodedUserId = encodeURIComponent(userId);
 
-  // Build URL using base URL (already cleaned by getBaseUrl)
-  const url = `${baseUrl}/api/v1/users/${encodedUserId}/lifecycle/suspend`;
+  // oauthTokens=true also revokes access and refresh tokens issued by Okta
+  const url = `${baseUrl}/api/v1/users/${encodedUserId}/sessions${revokeOauthTokens ? '?oauthTokens=true' : ''}`;
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers
-  });
+  try {
+    const response = await fetchWithRateLimit(url, {
+      method: 'DELETE',
+      headers
+    }, jobState, 'clear sessions', userId);
 
-  return response;
+    if (!response.ok) {
+      const error = await createResponseError('Failed to clear sessions', response, jobState);
+      return { sessionsCleared: false, oauthTokensRevoked: false, sessionsError: error.message };
+    }
+  } catch (err) {
+    jobState.logger.error('step_failed', { message: `Failed to clear sessions for user ${userId}: ${err.message}`, phase: 'clear sessions', userId });
+    return { sessionsCleared: false, oauthTokensRevoked: false, sessionsError: `Failed to clear sessions: ${err.message}` };
+  }
+
+  return { sessionsCleared: true, oauthTokensRevoked: revokeOauthTokens, sessionsError: null };
 }
 
 /**
- * Helper function to get user details
+ * Helper function to revoke one grant or refresh token
+ * Returns null on success, otherwise the failure message
+ * @private
+ */
+async function revokeItem(url, label, userId, headers, jobState) {
+  try {
+    const response = await fetchWithRateLimit(url, {
+      method: 'DELETE',
+      headers
+    }, jobState, 'revoke grants', userId);
+
+    if (!response.ok) {
+      const error = await createResponseError(`Failed to revoke ${label}`, response, jobState);
+      return error.message;
+    }
+  } catch (err) {
+    return `Failed to revoke ${label}: ${err.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to revoke a user's consent grants and the refresh tokens issued to their OAuth clients
+ * Keeps going after individual failures and reports counts, so one bad item does not hide the rest
  * @private
  */
-async function getUser(userId, baseUrl, headers) {
+async function revokeUserGrants(userId, baseUrl, headers, jobState) {
   // Safely encode userId to prevent injection
   const encodedUserId = encodeURIComponent(userId);
+  const userUrl = `${baseUrl}/api/v1/users/${encodedUserId}`;
 
-  // Build URL using base URL (already cleaned by getBaseUrl)
+  const result = { grantsRevoked: 0, grantsFailed: 0, refreshTokensRevoked: 0, refreshTokensFailed: 0, revocationErrors: [] };
+  const list = async (url, errorPrefix) => {
+    try {
+      return await listAll(url, baseUrl, headers, jobState, errorPrefix, Infinity, 'revoke grants', userId);
+    } catch (err) {
+      result.revocationErrors.push(err.message.startsWith(errorPrefix) ? err.message : `${errorPrefix}: ${err.message}`);
+      return [];
+    }
+  };
+
+  const grants = await list(`${userUrl}/grants?limit=${GRANTS_PAGE_SIZE}`, 'Failed to list grants');
+  for (const grant of grants) {
+    const error = await revokeItem(`${userUrl}/grants/${encodeURIComponent(grant.id)}`, `grant ${grant.id}`, userId, headers, jobState);
+    if (error) {
+      result.grantsFailed++;
+      result.revocationErrors.push(error);
+    } else {
+      result.grantsRevoked++;
+    }
+  }
+
+  const clients = await list(`${userUrl}/clients`, 'Failed to list OAuth clients');
+  for (const { client_id: clientId } of clients) {
+    const clientUrl = `${userUrl}/clients/${encodeURIComponent(clientId)}`;
+    const tokens = await list(`${clientUrl}/tokens?limit=${GRANTS_PAGE_SIZE}`, `Failed to list refresh tokens for client ${clientId}`);
+
+    for (const token of tokens) {
+      const error = await revokeItem(`${clientUrl}/tokens/${encodeURIComponent(token.id)}`, `refresh token ${token.id} for client ${clientId}`, userId, headers, jobState);
+      if (error) {
+        result.refreshTokensFailed++;
+        result.revocationErrors.push(error);
+      } else {
+        result.refreshTokensRevoked++;
+      }
+    }
+  }
+
+  const message = `Revoked ${result.grantsRevoked} grants and ${result.refreshTokensRevoked} refresh tokens for user ${userId}`;
+  if (result.revocationErrors.length > 0) {
+    jobState.logger.warn('step_failed', { message: `${message}, with ${result.revocationErrors.length} failures`, phase: 'revoke grants', userId });
+  } else {
+    jobState.logger.info('grants_revoked', { message, phase: 'revoke grants', userId });
+  }
+
+  return result;
+}
+
+/**
+ * Helper function to add a user to or remove a user from a group
+ * Returns null on success, otherwise the failure message
+ * @private
+ */
+async function changeGroupMembership(groupId, userId, baseUrl, headers, jobState, method) {
+  const action = method === 'PUT' ? 'add user to' : 'remove user from';
+
+  // Safely encode both IDs to prevent injection
+  const url = `${baseUrl}/api/v1/groups/${encodeURIComponent(groupId)}/users/${encodeURIComponent(userId)}`;
+
+  try {
+    const response = await fetchWithRateLimit(url, {
+      method,
+      headers
+    }, jobState, 'quarantine', userId);
+
+    if (!response.ok) {
+      const error = await createResponseError(`Failed to ${action} group ${groupId}`, response, jobState);
+      return error.message;
+    }
+  } catch (err) {
+    return `Failed to ${action} group ${groupId}: ${err.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to add a user to the quarantine group and take them out of other groups
+ * Only groups the user was actually in are removed and recorded, so they can be restored exactly
+ * @private
+ */
+async function quarantineUser(userId, baseUrl, headers, jobState, params) {
+  const quarantineGroupId = params.quarantineGroupId || null;
+
+  // Never undo the quarantine by removing the user from the quarantine group itself
+  const removeFromGroupIds = readList(params.removeFromGroupIds).filter(groupId => groupId !== quarantineGroupId);
+
+  const result = { quarantineGroupId, quarantined: false, removedGroups: [], groupErrors: [] };
+
+  if (quarantineGroupId) {
+    const error = await changeGroupMembership(quarantineGroupId, userId, baseUrl, headers, jobState, 'PUT');
+    if (error) {
+      result.groupErrors.push({ groupId: quarantineGroupId, operation: 'add', error });
+    } else {
+      result.quarantined = true;
+    }
+  }
+
+  if (removeFromGroupIds.length > 0) {
+    let memberOf = [];
+    try {
+      const url = `${baseUrl}/api/v1/users/${encodeURIComponent(userId)}/groups?limit=${USER_GROUPS_PAGE_SIZE}`;
+      memberOf = await listAll(url, baseUrl, headers, jobState, 'Failed to list the user\'s groups', Infinity, 'quarantine', userId);
+    } catch (err) {
+      // Without the user's groups there is no way to record what was removed, so nothing is
+      result.groupErrors.push(...removeFromGroupIds.map(groupId => ({ groupId, operation: 'remove', error: err.message })));
+    }
+
+    // Groups the user is not in are left alone
+    for (const group of memberOf.filter(candidate => removeFromGroupIds.includes(candidate.id))) {
+      const error = await changeGroupMembership(group.id, userId, baseUrl, headers, jobState, 'DELETE');
+      if (error) {
+        result.groupErrors.push({ groupId: group.id, operation: 'remove', error });
+      } else {
+        result.removedGroups.push({ id: group.id, name: group.profile?.name || null });
+      }
+    }
+  }
+
+  const message = `User ${userId} ${result.quarantined ? `added to quarantine group ${quarantineGroupId}` : 'not quarantined'}, removed from ${result.removedGroups.length} groups`;
+  if (result.groupErrors.length > 0) {
+    jobState.logger.warn('step_failed', { message: `${message}, with ${result.groupErrors.length} group failures`, phase: 'quarantine', userId });
+  } else {
+    jobState.logger.info('user_quarantined', { message, phase: 'quarantine', userId });
+  }
+
+  return result;
+}
+
+/**
+ * Helper function to record the suspension reason and ticket on the user's profile
+ * Uses a partial profile update so no other attributes are touched
+ * @private
+ */
+async function recordSuspensionDetails(userId, baseUrl, headers, jobState, params) {
+  const { reason, ticketId } = params;
+  const reasonAttribute = params.reasonAttribute || DEFAULT_REASON_ATTRIBUTE;
+  const ticketAttribute = params.ticketIdAttribute || DEFAULT_TICKET_ID_ATTRIBUTE;
+
+  const profile = {};
+  if (reason) {
+    profile[reasonAttribute] = reason;
+  }
+  if (ticketId) {
+    profile[ticketAttribute] = ticketId;
+  }
+
+  // Safely encode userId to prevent injection
+  const encodedUserId = encodeURIComponent(userId);
+
+  // POST (not PUT) to /users/{id} is Okta's partial update
   const url = `${baseUrl}/api/v1/users/${encodedUserId}`;
 
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: headers
-  });
+  const details = { reason: reason || null, ticketId: ticketId || null };
 
-  return response;
+  try {
+    const response = await fetchWithRateLimit(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ profile })
+    }, jobState, 'record suspension details', userId);
+
+    if (!response.ok) {
+      const error = await createResponseError('Failed to record suspension details', response, jobState);
+      const causes = error.errorCauses.map(cause => cause.errorSummary).filter(Boolean);
+
+      // A missing custom attribute is a schema setup problem, not a failed suspension
+      const profileWarning = causes.length > 0
+        ? `${error.message} (${causes.join('; ')}). Check that the Okta user profile schema defines ${Object.keys(profile).join(' and ')}`
+        : error.message;
+      jobState.logger.warn('step_failed', { message: profileWarning, phase: 'record suspension details', userId });
+      return { ...details, profileUpdated: false, profileWarning };
+    }
+  } catch (err) {
+    jobState.logger.error('step_failed', { message: `Failed to record suspension details for user ${userId}: ${err.message}`, phase: 'record suspension details', userId });
+    return { ...details, profileUpdated: false, profileWarning: `Failed to record suspension details: ${err.message}` };
+  }
+
+  return { ...details, profileUpdated: true, profileWarning: null };
+}
+
+/**
+ * Helper function to run the optional steps that follow a verified suspension
+ * Returns extra result fields; each step reports its own failures
+ * @private
+ */
+async function runPostSuspensionSteps(userId, baseUrl, headers, jobState, params, statusChange) {
+  const result = {};
+
+  if (isEnabled(params.clearSessions)) {
+    Object.assign(result, await clearUserSessions(userId, baseUrl, headers, jobState, isEnabled(params.revokeOauthTokens)));
+  }
+
+  if (isEnabled(params.revokeGrants)) {
+    Object.assign(result, await revokeUserGrants(userId, baseUrl, headers, jobState));
+  }
+
+  if (params.quarantineGroupId || params.removeFromGroupIds) {
+    Object.assign(result, await quarantineUser(userId, baseUrl, headers, jobState, params));
+  }
+
+  // An already-suspended user keeps the reason recorded by the run that suspended them
+  if ((params.reason || params.ticketId) && statusChange.requestedAt) {
+    Object.assign(result, await recordSuspensionDetails(userId, baseUrl, headers, jobState, params));
+  } else if (params.reason || params.ticketId) {
+    const profileWarning = `User ${userId} was already suspended, the existing suspension details were kept`;
+    jobState.logger.info('step_skipped', { message: profileWarning, phase: 'record suspension details', userId });
+    Object.assign(result, { reason: params.reason || null, ticketId: params.ticketId || null, profileUpdated: false, profileWarning });
+  }
+
+  return result;
+}
+
+/**
+ * Helper function to find the System Log event Okta recorded for a suspension
+ * Polls with backoff while the event has not been written yet, stopping before the job deadline.
+ * Lookup failures are reported as a warning; the suspension itself is already verified
+ * @private
+ */
+async function findSuspendEvent(userId, baseUrl, headers, jobState, requestedAt) {
+  const since = new Date(requestedAt - SYSTEM_LOG_WINDOW_MS).toISOString();
+  const until = new Date(Date.now() + SYSTEM_LOG_WINDOW_MS).toISOString();
+  const filter = `eventType eq "${SUSPEND_EVENT_TYPE}" and target.id eq "${escapeFilterValue(userId)}"`;
+
+  const url = `${baseUrl}/api/v1/logs?since=${encodeURIComponent(since)}&until=${encodeURIComponent(until)}` +
+    `&filter=${encodeURIComponent(filter)}&sortOrder=DESCENDING&limit=1`;
+
+  try {
+    let event;
+    let delay = SYSTEM_LOG_INITIAL_DELAY_MS;
+    for (let attempt = 1; ; attempt++) {
+      const response = await fetchWithRateLimit(url, {
+        method: 'GET',
+        headers
+      }, jobState, 'System Log', userId);
+
+      if (!response.ok) {
+        const error = await createResponseError('Failed to read the System Log', response, jobState);
+        return { systemLogEvent: null, systemLogWarning: error.message };
+      }
+
+      [event] = await response.json();
+      if (event) {
+        break;
+      }
+
+      // The System Log can lag behind the lifecycle change by a few seconds
+      if (attempt >= SYSTEM_LOG_MAX_ATTEMPTS || Date.now() + delay > jobState.deadline) {
+        return { systemLogEvent: null, systemLogWarning: `No ${SUSPEND_EVENT_TYPE} event found for user ${userId} since ${since} after ${attempt} attempt${attempt === 1 ? '' : 's'}` };
+      }
+
+      jobState.logger.info('system_log_pending', { message: `No ${SUSPEND_EVENT_TYPE} event for user ${userId} yet, checking again in ${delay}ms`, phase: 'System Log', userId, attempt });
+      await sleep(delay);
+      delay *= 2;
+    }
+
+    return {
+      systemLogEvent: {
+        uuid: event.uuid,
+        published: event.published,
+        actor: event.actor
+          ? { id: event.actor.id, type: event.actor.type, alternateId: event.actor.alternateId, displayName: event.actor.displayName }
+          : null,
+        clientIp: event.client?.ipAddress || null
+      },
+      systemLogWarning: null
+    };
+  } catch (err) {
+    jobState.logger.error('step_failed', { message: `Failed to read the System Log for user ${userId}: ${err.message}`, phase: 'System Log', userId });
+    return { systemLogEvent: null, systemLogWarning: `Failed to read the System Log: ${err.message}` };
+  }
+}
+
+/**
+ * Helper function to tell whether Okta refused the credentials, as opposed to any other failure
+ * @private
+ */
+function isAccessDenied(statusCode) {
+  return statusCode === 401 || statusCode === 403;
+}
+
+/**
+ * Helper function to describe a preview for a user the credentials cannot read
+ * @private
+ */
+function describeUnreadablePreview() {
+  return { canReadUser: false, status: null, wouldSuspend: false, userData: null };
+}
+
+/**
+ * Helper function to resolve the user for a dry run
+ * A lookup the credentials may not make is a preview answer, not a failure
+ * @private
+ */
+async function resolvePreviewUser(params, baseUrl, headers, jobState) {
+  try {
+    return await resolveUser(params, baseUrl, headers, jobState);
+  } catch (err) {
+    if (!isAccessDenied(err.statusCode)) {
+      throw err;
+    }
+    return { userId: null, lookupField: params.login ? 'login' : 'email', requestedUser: params.login || params.email };
+  }
+}
+
+/**
+ * Helper function to preview a suspension without changing the user
+ * @private
+ */
+async function previewSuspension(userId, baseUrl, headers, jobState) {
+  const getUserResponse = await getUser(userId, baseUrl, headers, jobState, 'preview');
+
+  // Only an auth failure says something about the credentials; anything else fails like a real run
+  if (isAccessDenied(getUserResponse.status)) {
+    return describeUnreadablePreview();
+  }
+  if (!getUserResponse.ok) {
+    throw markUserNotFound(await createResponseError('Cannot preview user', getUserResponse, jobState));
+  }
+
+  let userData;
+  try {
+    userData = await getUserResponse.json();
+  } catch (err) {
+    const errorMessage = `Cannot parse user data: ${err.message}`;
+    jobState.logger.error('unreadable_response', { message: errorMessage, phase: 'preview', userId });
+    throw createError(errorMessage, 500);
+  }
+
+  const guardrails = await previewGuardrails(userData, userId, baseUrl, headers, jobState);
+
+  // Okta only accepts the suspend transition for ACTIVE users
+  return {
+    canReadUser: true,
+    status: userData.status,
+    wouldSuspend: userData.status === USER_STATUS.ACTIVE && !guardrails.blockedBy,
+    ...guardrails,
+    userData
+  };
+}
+
+/**
+ * Helper function to make one quick status check while the job is halting
+ * Never throws; returns null when the status cannot be read
+ * @private
+ */
+async function checkUserStatus(userId, params, context, logger) {
+  try {
+    const baseUrl = resolveBaseUrl(params, context);
+
+    // Only a short time budget, so the halt never waits out rate limits or a slow Okta
+    const jobState = {
+      deadline: Date.now() + HALT_STATUS_CHECK_TIMEOUT_MS,
+      requestTimeoutMs: HALT_STATUS_CHECK_TIMEOUT_MS,
+      jobTimeoutMs: HALT_STATUS_CHECK_TIMEOUT_MS,
+      rateLimit: null,
+      requestIds: [],
+      logger
+    };
+    const headers = await createOktaHeaders(context, jobState);
+    const userData = await readUser(userId, baseUrl, headers, jobState, 'Cannot fetch information about User', 'halt');
+    return userData.status;
+  } catch (err) {
+    logger.error('halt_status_unknown', { message: `Could not check status of user ${userId} while halting: ${err.message}`, phase: 'halt', userId });
+    return null;
+  }
+}
+
+/**
+ * Helper function to normalize the userIds input into a list of IDs
+ * Accepts an array, a JSON array string or a comma-separated string
+ * @private
+ */
+function parseUserIds(userIds) {
+  let ids = userIds;
+
+  if (typeof ids === 'string') {
+    const trimmed = ids.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        ids = JSON.parse(trimmed);
+      } catch (err) {
+        throw createError(`Invalid userIds parameter: ${err.message}`, 400);
+      }
+    } else {
+      ids = trimmed.split(',');
+    }
+  }
+
+  if (!Array.isArray(ids)) {
+    throw createError('Invalid userIds parameter. Provide a list of Okta user IDs', 400);
+  }
+
+  // Drop blanks and duplicates so a user is never processed twice
+  const unique = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+  if (unique.length === 0) {
+    throw createError('Invalid userIds parameter. Provide at least one Okta user ID', 400);
+  }
+
+  return unique;
+}
+
+/**
+ * Helper function to suspend or unsuspend many users with bounded concurrency
+ * Users not started before the deadline are reported as skipped
+ * @private
+ */
+async function suspendUsers(userIds, baseUrl, headers, jobState, params, { operation, concurrency }) {
+  const results = new Array(userIds.length);
+  let next = 0;
+
+  // Every user gets an equal share of the job's snapshot size limit
+  if (jobState.snapshot) {
+    jobState.snapshot.userMaxBytes = Math.floor(jobState.snapshot.maxBytes / Math.max(1, userIds.length));
+  }
+
+  const worker = async () => {
+    while (next < userIds.length) {
+      const index = next++;
+      const userId = userIds[index];
+
+      if (Date.now() >= jobState.deadline) {
+        results[index] = { userId, success: false, skipped: true, alreadySuspended: false, status: null, suspendedAt: null, unsuspendedAt: null, verifyAttempts: null, error: 'Skipped: job time budget exhausted' };
+        continue;
+      }
+
+      try {
+        const statusChange = await changeUserStatus(userId, baseUrl, headers, jobState, operation);
+        const postSuspension = operation === OPERATION.SUSPEND
+          ? await runPostSuspensionSteps(userId, baseUrl, headers, jobState, params, statusChange)
+          : {};
+        const { alreadySuspended, status, suspendedAt, unsuspendedAt, verifyAttempts } = describeStatusChange(operation, statusChange);
+        results[index] = {
+          userId,
+          success: true,
+          skipped: false,
+          alreadySuspended,
+          status,
+          suspendedAt,
+          unsuspendedAt,
+          verifyAttempts,
+          error: null,
+          ...statusChange.snapshotResult,
+          ...postSuspension
+        };
+      } catch (err) {
+        jobState.logger.error('user_failed', { message: `Failed to ${operation} user ${userId}: ${err.message}`, phase: err.phase || operation, userId, status: err.statusCode || null, requestId: err.requestId || null });
+        results[index] = { userId, success: false, skipped: false, alreadySuspended: false, status: err.userStatus || null, suspendedAt: null, unsuspendedAt: null, verifyAttempts: null, error: err.message };
+      }
+    }
+  };
+
+  const workerCount = Math.min(concurrency, userIds.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Helper function to run a lifecycle operation on every eligible user of a listed set
+ * Users already in the target status count as done; users in any other status are skipped
+ * @private
+ */
+async function changeListedUsers(members, baseUrl, headers, jobState, params, { operation, concurrency }) {
+  const { sourceStatus, targetStatus } = OPERATIONS[operation];
+
+  const eligible = members.filter(member => member.status === sourceStatus);
+  const changed = await suspendUsers(eligible.map(member => member.id), baseUrl, headers, jobState, params, { operation, concurrency });
+
+  // Keep the listed order in the results
+  const changedById = new Map(changed.map(result => [result.userId, result]));
+  return members.map(member => {
+    if (changedById.has(member.id)) {
+      return changedById.get(member.id);
+    }
+
+    if (member.status === targetStatus) {
+      const { alreadySuspended, status, suspendedAt, unsuspendedAt, verifyAttempts } = describeStatusChange(operation, { userData: member, previousUser: member, verifyAttempts: 0 });
+      return { userId: member.id, success: true, skipped: false, alreadySuspended, status, suspendedAt, unsuspendedAt, verifyAttempts, error: null };
+    }
+
+    return { userId: member.id, success: false, skipped: true, alreadySuspended: false, status: member.status, suspendedAt: null, unsuspendedAt: null, verifyAttempts: null, error: `Skipped: user is ${member.status}` };
+  });
 }
 
-export default {
+const script = {
   /**
-   * Main execution handler - suspends the specified Okta user
+   * Main execution handler - suspends (or unsuspends) the specified Okta user
    * @param {Object} params - Job input parameters
    * @param {string} params.userId - The Okta user ID
+   * @param {string} params.login - Okta login to look up when userId is not provided
+   * @param {string} params.email - Email address to look up when neither userId nor login is provided
+   * @param {string} params.operation - Lifecycle operation to run: suspend (default) or unsuspend
+   * @param {number} params.verifyMaxWaitMs - How long to keep polling for the new status (default 10000)
+   * @param {number} params.verifyInitialDelayMs - First delay between status checks, doubled after each check (default 500)
+   * @param {number} params.requestTimeoutMs - How long to wait for each Okta request (default 10000)
+   * @param {number} params.jobTimeoutMs - Deadline for all Okta requests, measured from the start of the job (default 25000)
+   * @param {string[]|string} params.userIds - List of Okta user IDs to suspend in bulk (array, JSON array or comma-separated)
+   * @param {number} params.concurrency - Maximum number of users suspended in parallel in bulk mode (default 5)
+   * @param {string} params.groupId - Okta group whose ACTIVE members are suspended in bulk
+   * @param {number} params.maxGroupMembers - Refuse groups with more members than this (default 100)
+   * @param {string} params.search - Okta search expression whose ACTIVE matches are suspended in bulk
+   * @param {boolean} params.dryRun - Preview the suspension without calling the suspend endpoint
+   * @param {boolean} params.clearSessions - Clear the user's active Okta sessions after the suspension is verified
+   * @param {boolean} params.revokeOauthTokens - Also revoke OAuth tokens issued by Okta when clearing sessions
+   * @param {boolean} params.revokeGrants - Revoke the user's consent grants and the refresh tokens issued to their OAuth clients after the suspension is verified
+   * @param {string} params.quarantineGroupId - Okta group the user is added to after the suspension is verified
+   * @param {string[]|string} params.removeFromGroupIds - Okta groups the user is removed from after the suspension is verified
+   * @param {boolean} params.captureSnapshot - Before suspending, capture the user's status, groups, app assignments and admin roles
+   * @param {number} params.snapshotMaxBytes - Size limit for the snapshot JSON (default 65536)
+   * @param {string} params.reason - Why the user is being suspended, written to the user's profile
+   * @param {string} params.ticketId - Ticket or case reference, written to the user's profile
+   * @param {string} params.reasonAttribute - Custom profile attribute for the reason (default suspensionReason)
+   * @param {string} params.ticketIdAttribute - Custom profile attribute for the ticket ID (default suspensionTicketId)
+   * @param {string[]|string} params.protectedRoles - Admin role types whose holders are not suspended (default SUPER_ADMIN)
+   * @param {boolean} params.overrideRoleProtection - Suspend holders of protected admin roles anyway
+   * @param {string[]|string} params.profileFields - Profile fields returned in the result (default login, email, displayName, managerId, department)
    * @param {string} params.address - Full URL to Okta API (defaults to ADDRESS environment variable)
    *
    * @param {Object} context - Execution context with secrets and environment
    * @param {string} context.environment.ADDRESS - Okta API base URL
+   * @param {string} context.environment.ALLOWED_HOSTS - Comma-separated hosts the address may point at (default *.okta.com, *.oktapreview.com, *.okta-emea.com)
+   * @param {string} context.environment.PROTECTED_USER_IDS - Comma-separated Okta user IDs that are never suspended
+   * @param {string} context.environment.PROTECTED_LOGINS - Comma-separated Okta logins that are never suspended
    *
    * The configured auth type will determine which of the following environment variables and secrets are available
    * @param {string} context.secrets.BEARER_AUTH_TOKEN
@@ -85,117 +1818,334 @@ export default {
    *
    * @param {string} context.secrets.OAUTH2_AUTHORIZATION_CODE_ACCESS_TOKEN
    *
+   * @param {string} context.secrets.OAUTH2_PRIVATE_KEY_JWT_PRIVATE_KEY
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_CLIENT_ID
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_TOKEN_URL
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_KEY_ID
+   * @param {string} context.environment.OAUTH2_PRIVATE_KEY_JWT_SCOPE
+   *
    * @returns {Object} Job results
    */
   invoke: async (params, context) => {
+    const startedAt = Date.now();
 
-    const { userId } = params;
+    const operation = params.operation || OPERATION.SUSPEND;
+    if (!OPERATIONS[operation]) {
+      throw createError(`Invalid operation parameter: ${operation}. Use suspend or unsuspend`, 400);
+    }
+
+    const logger = createLogger(context);
+    logger.info('job_started', { message: `Starting Okta user ${operation} for user: ${params.userIds || params.userId || params.login || params.email}`, operation });
+
+    // Validate the address before any credentials are used
+    const baseUrl = resolveBaseUrl(params, context);
 
-    console.log(`Starting Okta user suspension for user: ${userId}`);
+    // Recorded in the execution context so halt can tell how far the job got,
+    // and so a retry from the error handler keeps to the same deadline
+    const jobTimeoutMs = readNonNegativeInt(params.jobTimeoutMs, DEFAULT_JOB_TIMEOUT_MS);
+    const deadline = startedAt + jobTimeoutMs;
+    const progress = { operation, users: {} };
+    context.partial_results = { ...context.partial_results, progress, deadline };
 
-    // Get base URL using utility function
-    const baseUrl = getBaseURL(params, context);
+    // The snapshot size limit covers the whole job; bulk runs split it between users
+    const snapshotMaxBytes = readNonNegativeInt(params.snapshotMaxBytes, DEFAULT_SNAPSHOT_MAX_BYTES);
+
+    // Shared across every request in this job
+    const jobState = {
+      deadline,
+      jobTimeoutMs,
+      requestTimeoutMs: Math.max(1, readNonNegativeInt(params.requestTimeoutMs, DEFAULT_REQUEST_TIMEOUT_MS)),
+      rateLimit: null,
+      // Okta's X-Okta-Request-Id for every response, for Okta support
+      requestIds: [],
+      logger,
+      progress,
+      guardrails: {
+        protectedUserIds: readList(context.environment?.PROTECTED_USER_IDS),
+        protectedLogins: readList(context.environment?.PROTECTED_LOGINS).map(login => login.toLowerCase()),
+        protectedRoles: params.protectedRoles ? readList(params.protectedRoles) : DEFAULT_PROTECTED_ROLES,
+        overrideRoleProtection: isEnabled(params.overrideRoleProtection)
+      },
+      verify: {
+        maxWaitMs: readNonNegativeInt(params.verifyMaxWaitMs, DEFAULT_VERIFY_MAX_WAIT_MS),
+        initialDelayMs: Math.max(1, readNonNegativeInt(params.verifyInitialDelayMs, DEFAULT_VERIFY_INITIAL_DELAY_MS))
+      },
+      snapshot: isEnabled(params.captureSnapshot)
+        ? { maxBytes: snapshotMaxBytes, userMaxBytes: snapshotMaxBytes }
+        : null
+    };
 
     // Get headers using utility function
-    let headers = await createHeaders(context);
+    const headers = await createOktaHeaders(context, jobState);
 
-    // Handle Okta's SSWS token format - only for Bearer token auth mode
-    if (context.secrets.BEARER_AUTH_TOKEN && headers['Authorization'].startsWith('Bearer ')) {
-      const token = headers['Authorization'].substring(7);
-      headers['Authorization'] = token.startsWith('SSWS ') ? token : `SSWS ${token}`;
+    const dryRun = isEnabled(params.dryRun);
+    if (dryRun && operation !== OPERATION.SUSPEND) {
+      throw createError('dryRun is only supported for the suspend operation', 400);
     }
 
-    // Make the API request to suspend the user
-    const suspendUserResponse = await suspendUser(userId, baseUrl, headers);
-    console.log(`Received a ${suspendUserResponse.status} from Okta when suspending user ${userId}`);
+    const bulkInputs = ['userIds', 'groupId', 'search'].filter(name => params[name]);
+    if (bulkInputs.length > 1) {
+      throw createError(`Provide only one of userIds, groupId or search, not ${bulkInputs.join(' and ')}`, 400);
+    }
 
-    if (!suspendUserResponse.ok && suspendUserResponse.status !== 400) {
-      // Handle error responses
-      let errorMessage = `Failed to suspend user: HTTP ${suspendUserResponse.status}`;
+    if (params.search && dryRun) {
+      const users = await searchUsers(params.search, baseUrl, headers, jobState);
 
-      try {
-        const errorBody = await suspendUserResponse.json();
-        if (errorBody.errorSummary) {
-          errorMessage = `Failed to suspend user: ${errorBody.errorSummary}`;
-        }
-        console.error('Okta API error response:', errorBody);
-      } catch {
-        // Response might not be JSON
-        console.error('Failed to parse error response');
+      // Only ACTIVE matches would be suspended, so only they need the guardrail checks
+      const matchedUsers = [];
+      for (const [index, match] of describeMatchedUsers(users).entries()) {
+        const active = match.status === USER_STATUS.ACTIVE;
+        const { blockedBy } = active
+          ? await previewGuardrails(users[index], match.userId, baseUrl, headers, jobState)
+          : { blockedBy: null };
+        matchedUsers.push({ ...match, wouldSuspend: active && !blockedBy, blockedBy });
       }
 
-      throw createError(errorMessage, suspendUserResponse.status);
+      logger.info('job_finished', { message: `Dry run for search ${params.search}: ${matchedUsers.length} users matched`, operation, dryRun: true });
+      return {
+        operation,
+        search: params.search,
+        suspended: false,
+        address: baseUrl,
+        dryRun: true,
+        total: matchedUsers.length,
+        wouldSuspendCount: matchedUsers.filter(user => user.wouldSuspend).length,
+        matchedUsers,
+        rateLimit: jobState.rateLimit,
+        requestIds: jobState.requestIds
+      };
     }
 
-    // Get user to confirm status change
-    const getUserResponse = await getUser(userId, baseUrl, headers);
-    if (!getUserResponse.ok) {
-      const errorMessage = `Cannot fetch information about User: HTTP ${getUserResponse.status}`;
-      console.error(errorMessage);
-      throw createError(errorMessage, getUserResponse.status);
-    }
+    if (bulkInputs.length > 0) {
+      if (dryRun) {
+        throw createError(`dryRun is not supported together with ${bulkInputs[0]}. Preview users one at a time`, 400);
+      }
 
-    let userData;
-    try {
-      userData = await getUserResponse.json();
-    } catch (err) {
-      const errorMessage = `Cannot parse user data: ${err.message}`;
-      console.error(errorMessage);
-      throw createError(errorMessage, 500);
+      const concurrency = Math.max(1, parseInt(params.concurrency, 10) || DEFAULT_CONCURRENCY);
+
+      let results;
+      let matchedUsers;
+      if (params.userIds) {
+        results = await suspendUsers(parseUserIds(params.userIds), baseUrl, headers, jobState, params, { operation, concurrency });
+      } else {
+        const users = params.groupId
+          ? await getGroupMembers(params.groupId, baseUrl, headers, jobState, readNonNegativeInt(params.maxGroupMembers, DEFAULT_MAX_GROUP_MEMBERS))
+          : await searchUsers(params.search, baseUrl, headers, jobState);
+        logger.info('users_listed', { message: `Resolved ${params.groupId ? 'group' : 'search'} ${params.groupId || params.search} to ${users.length} users`, phase: 'lookup', total: users.length });
+
+        matchedUsers = describeMatchedUsers(users);
+        results = await changeListedUsers(users, baseUrl, headers, jobState, params, { operation, concurrency });
+      }
+
+      const suspendedCount = results.filter(r => r.success).length;
+      const skippedCount = results.filter(r => r.skipped).length;
+      const failedCount = results.length - suspendedCount - skippedCount;
+
+      logger.info('job_finished', { message: `Bulk ${operation} finished: ${suspendedCount} succeeded, ${failedCount} failed, ${skippedCount} skipped`, operation, durationMs: Date.now() - startedAt });
+      return {
+        operation,
+        ...(params.groupId && { groupId: params.groupId }),
+        ...(params.search && { search: params.search, matchedUsers }),
+        suspended: operation === OPERATION.SUSPEND && results.length > 0 && suspendedCount === results.length,
+        address: baseUrl,
+        total: results.length,
+        suspendedCount,
+        failedCount,
+        skippedCount,
+        results,
+        rateLimit: jobState.rateLimit,
+        requestIds: jobState.requestIds
+      };
     }
 
-    // Check if user is now suspended
-    if (userData.status !== USER_STATUS.SUSPENDED) {
-      const errorMessage = `User ${userId} could not be suspended. User is currently ${userData.status}`;
-      console.error(errorMessage);
-      throw createError(errorMessage, 400);
+    // Resolve login or email to the canonical Okta user ID
+    const { userId, lookupField, requestedUser } = dryRun
+      ? await resolvePreviewUser(params, baseUrl, headers, jobState)
+      : await resolveUser(params, baseUrl, headers, jobState);
+    const profileFields = params.profileFields ? readList(params.profileFields) : DEFAULT_PROFILE_FIELDS;
+
+    if (dryRun) {
+      const preview = userId
+        ? await previewSuspension(userId, baseUrl, headers, jobState)
+        : describeUnreadablePreview();
+      // Same user fields as a real run; nothing changes, so the previous status is the current one
+      const { previousStatus, profile, lastLogin, created } = preview.userData
+        ? describeUser({ userData: preview.userData, previousUser: preview.userData }, profileFields)
+        : { previousStatus: null, profile: null, lastLogin: null, created: null };
+
+      logger.info('job_finished', { message: `Dry run for user ${userId || requestedUser}: status ${preview.status}, would suspend: ${preview.wouldSuspend}`, operation, userId, dryRun: true });
+      return {
+        userId,
+        requestedUser,
+        lookupField,
+        operation,
+        suspended: false,
+        alreadySuspended: preview.status === USER_STATUS.SUSPENDED,
+        address: baseUrl,
+        suspendedAt: null,
+        unsuspendedAt: null,
+        status: preview.status,
+        previousStatus,
+        verifyAttempts: 0,
+        profile,
+        lastLogin,
+        created,
+        dryRun: true,
+        wouldSuspend: preview.wouldSuspend,
+        blockedBy: preview.blockedBy ?? null,
+        blockedReason: preview.blockedReason ?? null,
+        canReadUser: preview.canReadUser,
+        authMethod: getAuthMethod(context),
+        rateLimit: jobState.rateLimit,
+        requestIds: jobState.requestIds
+      };
     }
 
-    // Successfully suspended user
-    console.log(`Fetched user info. User ${userId} is suspended with a status of ${userData.status}.`);
+    const statusChange = await changeUserStatus(userId, baseUrl, headers, jobState, operation);
+    const { suspended, alreadySuspended, suspendedAt, unsuspendedAt, status, verifyAttempts } = describeStatusChange(operation, statusChange);
+    const { previousStatus, profile, lastLogin, created } = describeUser(statusChange, profileFields);
+
+    // Optional follow-up steps never undo a verified suspension
+    const postSuspension = operation === OPERATION.SUSPEND
+      ? await runPostSuspensionSteps(userId, baseUrl, headers, jobState, params, statusChange)
+      : {};
+
+    // Okta's own audit record of the suspension, when this run sent the request
+    const auditEvent = operation === OPERATION.SUSPEND && statusChange.requestedAt
+      ? await findSuspendEvent(userId, baseUrl, headers, jobState, statusChange.requestedAt)
+      : {};
+
+    // Successfully changed user status
+    logger.info('job_finished', { message: `Fetched user info. User ${userId} has a status of ${status} after ${operation}.`, operation, userId, userStatus: status, durationMs: Date.now() - startedAt });
     return {
       userId,
-      suspended: true,
+      requestedUser,
+      lookupField,
+      operation,
+      suspended,
+      alreadySuspended,
       address: baseUrl,
-      suspendedAt: userData.statusChanged || userData.lastUpdated,
-      status: userData.status
+      suspendedAt,
+      unsuspendedAt,
+      status,
+      previousStatus,
+      verifyAttempts,
+      profile,
+      lastLogin,
+      created,
+      rateLimit: jobState.rateLimit,
+      requestIds: jobState.requestIds,
+      ...statusChange.snapshotResult,
+      ...postSuspension,
+      ...auditEvent
     };
   },
 
   /**
-   * Error recovery handler - framework handles retries by default
-   * Only implement if custom recovery logic is needed
+   * Error recovery handler - retries once after an expired OAuth2 token, turns a
+   * missing user or any other error that cannot be retried into a failure result
+   * and re-throws transient errors for the framework to retry
    * @param {Object} params - Original params plus error information
+   * @param {boolean} params.failOnUserNotFound - Fail instead of returning USER_NOT_FOUND when the user does not exist
    * @param {Object} context - Execution context
    * @returns {Object} Recovery results
    */
-  error: async (params, _context) => {
-    const { error, userId } = params;
-    console.error(`User suspension failed for user ${userId}: ${error.message}`);
+  error: async (params, context) => {
+    const { error, ...originalParams } = params;
+    const { userId } = params;
+    const logger = createLogger(context);
+    logger.error('job_failed', {
+      message: `User suspension failed for user ${userId}: ${error.message}`,
+      phase: error.phase || null,
+      userId: userId || null,
+      status: error.statusCode || null,
+      errorCode: error.errorCode || null,
+      requestId: error.requestId || null
+    });
+
+    // Client-credentials tokens can expire mid-job; invoke requests a new one through createOktaHeaders.
+    // The retry only gets what is left of the failed job's time budget
+    const authMethod = getAuthMethod(context);
+    if (error.statusCode === 401 && (authMethod === 'OAUTH2_CLIENT_CREDENTIALS' || authMethod === 'OAUTH2_PRIVATE_KEY_JWT')) {
+      const deadline = context.partial_results?.deadline;
+      const remainingMs = deadline ? deadline - Date.now() : null;
+      if (remainingMs === null || remainingMs > 0) {
+        logger.warn('token_rejected', { message: 'Okta rejected the access token, retrying once with a new token', phase: 'authentication', remainingMs });
+        return await script.invoke(remainingMs === null ? originalParams : { ...originalParams, jobTimeoutMs: remainingMs }, context);
+      }
+      logger.warn('token_rejected', { message: 'Okta rejected the access token and the job deadline has passed, not retrying', phase: 'authentication' });
+    }
+
+    // A user that no longer exists cannot be suspended, which is usually the goal anyway.
+    // Only lookups of the user itself set userNotFound; other 404s, such as a missing group or token URL, still fail
+    if (error.userNotFound && !isEnabled(params.failOnUserNotFound)) {
+      logger.info('user_not_found', { message: `User ${userId || params.login || params.email} was not found, returning a non-fatal result`, userId: userId || null });
+      return {
+        userId: userId || params.login || params.email || null,
+        suspended: false,
+        status: null,
+        failureReason: 'USER_NOT_FOUND',
+        errorCode: error.errorCode || null,
+        requestId: error.requestId || null
+      };
+    }
+
+    // Errors the action did not create are classified by status code
+    error.retryable = error.retryable ?? isRetryable(error.statusCode, error.errorCode);
+
+    // Retrying a permanent failure, such as missing permissions or bad input, cannot succeed,
+    // so it ends the job with a failure result. A missing user only gets here with failOnUserNotFound set
+    if (!error.retryable && !error.userNotFound) {
+      logger.error('not_retryable', { message: `Error is not retryable${error.errorCode ? ` (${error.errorCode})` : ''}, returning a failure result`, userId: userId || null, errorCode: error.errorCode || null });
+      return {
+        userId: userId || params.login || params.email || null,
+        suspended: false,
+        status: null,
+        failureReason: 'NOT_RETRYABLE',
+        error: error.message,
+        statusCode: error.statusCode || null,
+        errorCode: error.errorCode || null,
+        requestId: error.requestId || null
+      };
+    }
 
-    // Framework handles retries for transient errors (429, 502, 503, 504)
-    // Just re-throw the error to let the framework handle it
+    // Transient errors go back to the framework, which retries them
     throw error;
   },
 
   /**
-   * Graceful shutdown handler - cleanup when job is halted
+   * Graceful shutdown handler - reports how far the job got and, when credentials
+   * are available, where the user actually ended up
    * @param {Object} params - Original params plus halt reason
-   * @param {Object} context - Execution context
+   * @param {Object} context - Execution context, including the progress recorded by invoke
    * @returns {Object} Cleanup results
    */
-  halt: async (params, _context) => {
-    const { reason, userId } = params;
-    console.log(`User suspension job is being halted (${reason}) for user ${userId}`);
+  halt: async (params, context) => {
+    const { reason } = params;
+    const progress = context.partial_results?.progress || null;
+
+    // Bulk jobs track many users; only a single tracked user is worth a status check
+    const trackedUserIds = progress ? Object.keys(progress.users) : [];
+    const userId = trackedUserIds.length === 1 ? trackedUserIds[0] : params.userId;
+    const logger = createLogger(context);
+    logger.info('job_halted', { message: `User suspension job is being halted (${reason}) for user ${userId}`, userId: userId || null, reason });
 
-    // No cleanup needed for this simple operation
-    // The POST request either completed or didn't
+    // The lifecycle request may have landed even if the job never saw the response
+    let userStatus = null;
+    if (userId && getAuthMethod(context) !== 'NONE') {
+      userStatus = await checkUserStatus(userId, params, context, logger);
+    }
 
     return {
       userId: userId || 'unknown',
       reason: reason,
       haltedAt: new Date().toISOString(),
-      cleanupCompleted: true
+      cleanupCompleted: true,
+      progress,
+      userStatus,
+      suspended: userStatus ? userStatus === USER_STATUS.SUSPENDED : null
     };
   }
 };
+
+export default script;
\ No newline at end of file